@@ -0,0 +1,287 @@
+// AudioEngine.js — Procedural WebAudio sound (no audio files)
+// Engine note follows speed + nitro, whoosh on near-miss, crash hit, and
+// wind/rain ambience that follows the world's active weather.
+// Graph: [engine, ambience, one-shots] → sfxGain → masterGain → destination
+
+const VOLUME_KEY = 'racing_audio_volume';
+
+const ENGINE_BASE_HZ  = 55;    // idle pitch
+const ENGINE_RANGE_HZ = 165;   // added at the car's top speed
+const ENGINE_NITRO_HZ = 40;    // extra pitch while nitro burns
+const DEFAULT_TOP_SPEED = 280; // km/h — pitch scale when update() isn't told the car's
+const FADE_TIME       = 0.08;  // seconds for mute/unmute ramps
+
+// Per-weather ambience: noise filter + level
+const AMBIENCE = {
+  none: { type: 'lowpass',  freq: 500,  gain: 0.04 },  // light road wind
+  rain: { type: 'highpass', freq: 2500, gain: 0.22 },
+  thunderstorm: { type: 'highpass', freq: 1600, gain: 0.3 },   // heavier downpour
+  snow: { type: 'lowpass',  freq: 350,  gain: 0.16 },  // muffled gusts
+  sandstorm: { type: 'bandpass', freq: 900, gain: 0.26 },      // hissing grit
+  fog:  { type: 'lowpass',  freq: 300,  gain: 0.03 },  // deadened, near silent
+};
+
+function _unit(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : fallback;
+}
+
+export class AudioEngine {
+  constructor() {
+    this.ctx = null;     // created on first user gesture (autoplay policy)
+    this._active = false;
+
+    const saved = this._readVolumes();
+    this.masterVolume = saved.master;
+    this.sfxVolume    = saved.sfx;
+
+    // Lazily-built nodes
+    this._master    = null;
+    this._sfx       = null;
+    this._bus       = null;   // muted on pause / editor / menus
+    this._engineOsc = null;
+    this._engineSub = null;
+    this._engineLP  = null;
+    this._engineGain = null;
+    this._ambSrc    = null;
+    this._ambFilter = null;
+    this._ambGain   = null;
+    this._noiseBuf  = null;
+    this._weather   = 'none';
+
+    const unlock = () => {
+      this._init();
+      if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
+    };
+    document.addEventListener('pointerdown', unlock);
+    document.addEventListener('keydown', unlock);
+    document.addEventListener('touchstart', unlock);
+
+    // Don't keep droning in a background tab
+    document.addEventListener('visibilitychange', () => {
+      if (!this.ctx) return;
+      if (document.hidden) this.ctx.suspend(); else this.ctx.resume();
+    });
+  }
+
+  // ============================================================
+  //  VOLUME PERSISTENCE
+  // ============================================================
+
+  _readVolumes() {
+    try {
+      const v = JSON.parse(localStorage.getItem(VOLUME_KEY) || 'null');
+      if (v && typeof v === 'object') {
+        return { master: _unit(v.master, 0.8), sfx: _unit(v.sfx, 0.8) };
+      }
+    } catch {
+      // fall through to defaults
+    }
+    return { master: 0.8, sfx: 0.8 };
+  }
+
+  _writeVolumes() {
+    localStorage.setItem(VOLUME_KEY, JSON.stringify({ master: this.masterVolume, sfx: this.sfxVolume }));
+  }
+
+  setMasterVolume(v) {
+    this.masterVolume = Math.max(0, Math.min(1, v));
+    if (this._master) this._master.gain.setTargetAtTime(this.masterVolume, this.ctx.currentTime, 0.02);
+    this._writeVolumes();
+  }
+
+  setSfxVolume(v) {
+    this.sfxVolume = Math.max(0, Math.min(1, v));
+    if (this._sfx) this._sfx.gain.setTargetAtTime(this.sfxVolume, this.ctx.currentTime, 0.02);
+    this._writeVolumes();
+  }
+
+  // ============================================================
+  //  GRAPH SETUP
+  // ============================================================
+
+  _init() {
+    if (this.ctx) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    this.ctx = new Ctx();
+    const ctx = this.ctx;
+
+    this._master = ctx.createGain();
+    this._master.gain.value = this.masterVolume;
+    this._master.connect(ctx.destination);
+
+    this._sfx = ctx.createGain();
+    this._sfx.gain.value = this.sfxVolume;
+    this._sfx.connect(this._master);
+
+    this._bus = ctx.createGain();
+    this._bus.gain.value = this._active ? 1 : 0;
+    this._bus.connect(this._sfx);
+
+    // One second of white noise, shared by whoosh / crash / ambience
+    this._noiseBuf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = this._noiseBuf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    // ---- Engine: saw + square sub-octave through a lowpass ----
+    this._engineOsc = ctx.createOscillator();
+    this._engineOsc.type = 'sawtooth';
+    this._engineSub = ctx.createOscillator();
+    this._engineSub.type = 'square';
+    this._engineLP = ctx.createBiquadFilter();
+    this._engineLP.type = 'lowpass';
+    this._engineLP.Q.value = 4;
+    this._engineGain = ctx.createGain();
+    this._engineGain.gain.value = 0;
+
+    const subGain = ctx.createGain();
+    subGain.gain.value = 0.5;
+    this._engineOsc.connect(this._engineLP);
+    this._engineSub.connect(subGain);
+    subGain.connect(this._engineLP);
+    this._engineLP.connect(this._engineGain);
+    this._engineGain.connect(this._bus);
+    this._engineOsc.start();
+    this._engineSub.start();
+    this._setEngine(0, false, true);
+
+    // ---- Ambience: looped noise through a weather-dependent filter ----
+    this._ambSrc = ctx.createBufferSource();
+    this._ambSrc.buffer = this._noiseBuf;
+    this._ambSrc.loop = true;
+    this._ambFilter = ctx.createBiquadFilter();
+    this._ambGain = ctx.createGain();
+    this._ambGain.gain.value = 0;
+    this._ambSrc.connect(this._ambFilter);
+    this._ambFilter.connect(this._ambGain);
+    this._ambGain.connect(this._bus);
+    this._ambSrc.start();
+    this._applyAmbience(this._weather, true);
+  }
+
+  // ============================================================
+  //  MUTE GATE — pause, editor and menus silence the bus
+  // ============================================================
+
+  setActive(active) {
+    this._active = !!active;
+    if (!this._bus) return;
+    this._bus.gain.setTargetAtTime(this._active ? 1 : 0, this.ctx.currentTime, FADE_TIME);
+  }
+
+  // ============================================================
+  //  CONTINUOUS SOUNDS
+  // ============================================================
+
+  /**
+   * Per-frame update while driving.
+   * @param {number}  speed   — player.absSpeed (km/h)
+   * @param {boolean} nitro   — player.nitroActive
+   * @param {string}  weather — world.activeWeather
+   * @param {number}  [topSpeed] — player.stats.topSpeed (km/h), so every car revs out at its own top speed
+   */
+  update(speed, nitro, weather, topSpeed = DEFAULT_TOP_SPEED) {
+    if (!this.ctx) return;
+    this._setEngine(Math.min(1, speed / topSpeed), nitro, false);
+    if (weather !== this._weather) this._applyAmbience(weather, false);
+  }
+
+  // ratio — 0 idle … 1 top speed
+  _setEngine(ratio, nitro, immediate) {
+    const t     = this.ctx.currentTime;
+    const hz    = ENGINE_BASE_HZ + ratio * ENGINE_RANGE_HZ + (nitro ? ENGINE_NITRO_HZ : 0);
+    const tc    = immediate ? 0.001 : 0.06;
+    this._engineOsc.frequency.setTargetAtTime(hz, t, tc);
+    this._engineSub.frequency.setTargetAtTime(hz / 2, t, tc);
+    this._engineLP.frequency.setTargetAtTime(400 + ratio * 1400 + (nitro ? 800 : 0), t, tc);
+    this._engineGain.gain.setTargetAtTime(0.06 + ratio * 0.08 + (nitro ? 0.04 : 0), t, tc);
+  }
+
+  _applyAmbience(weather, immediate) {
+    this._weather = weather;
+    if (!this._ambFilter) return;
+    const cfg = AMBIENCE[weather] || AMBIENCE.none;
+    const t   = this.ctx.currentTime;
+    const tc  = immediate ? 0.001 : 0.8;   // slow cross-fade between weathers
+    this._ambFilter.type = cfg.type;
+    this._ambFilter.frequency.setTargetAtTime(cfg.freq, t, tc);
+    this._ambGain.gain.setTargetAtTime(cfg.gain, t, tc);
+  }
+
+  // ============================================================
+  //  ONE-SHOTS
+  // ============================================================
+
+  _noiseBurst(duration) {
+    const src = this.ctx.createBufferSource();
+    src.buffer = this._noiseBuf;
+    src.start(this.ctx.currentTime, Math.random() * 0.5, duration);
+    return src;
+  }
+
+  /** Whoosh for traffic.onNearMiss — pitch climbs with the combo. */
+  nearMiss(combo) {
+    if (!this.ctx || !this._active) return;
+    const ctx = this.ctx;
+    const t   = ctx.currentTime;
+    const pitch = 1 + Math.min(combo - 1, 8) * 0.15;
+
+    const src = this._noiseBurst(0.45);
+    const bp  = ctx.createBiquadFilter();
+    bp.type = 'bandpass';
+    bp.Q.value = 3;
+    bp.frequency.setValueAtTime(600 * pitch, t);
+    bp.frequency.exponentialRampToValueAtTime(2400 * pitch, t + 0.15);
+    bp.frequency.exponentialRampToValueAtTime(500 * pitch, t + 0.4);
+
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(0.5, t + 0.08);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + 0.42);
+
+    src.connect(bp);
+    bp.connect(g);
+    g.connect(this._bus);
+  }
+
+  /**
+   * Crash hit — played alongside triggerHitStop().
+   * @param {number} [strength] — 0–1; damage-model knocks play a lighter crunch
+   */
+  crash(strength = 1) {
+    if (!this.ctx || !this._active) return;
+    const ctx = this.ctx;
+    const t   = ctx.currentTime;
+    const k   = Math.max(0.1, Math.min(1, strength));
+
+    // Noisy crunch
+    const src = this._noiseBurst(0.6);
+    const lp  = ctx.createBiquadFilter();
+    lp.type = 'lowpass';
+    lp.frequency.setValueAtTime(3000, t);
+    lp.frequency.exponentialRampToValueAtTime(200, t + 0.5);
+    const ng = ctx.createGain();
+    ng.gain.setValueAtTime(0.9 * k, t);
+    ng.gain.exponentialRampToValueAtTime(0.0001, t + 0.55);
+    src.connect(lp);
+    lp.connect(ng);
+    ng.connect(this._bus);
+
+    // Low thump
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(120, t);
+    osc.frequency.exponentialRampToValueAtTime(35, t + 0.3);
+    const og = ctx.createGain();
+    og.gain.setValueAtTime(k, t);
+    og.gain.exponentialRampToValueAtTime(0.0001, t + 0.35);
+    osc.connect(og);
+    og.connect(this._bus);
+    osc.start(t);
+    osc.stop(t + 0.4);
+
+    // Engine cuts out
+    this._engineGain.gain.setTargetAtTime(0, t, 0.05);
+  }
+}
@@ -1,20 +1,15 @@
 import * as THREE from 'three';
-import { ROAD_HALF, laneToX } from './World.js';
+import { laneToX, LANE_WIDTH, DEFAULT_LANES } from './LaneLayout.js';
+import { singleHitbox, partHitboxes, hitboxExtents } from './Hitbox.js';
+import { deriveCustomStats } from './VehicleStats.js';
 
-// ---- Direct Mapping Steering ----
-const BINDINGS = {
-  'a': { move: -1, wheel: -30 },
-  'd': { move:  1, wheel:  30 },
-};
-
-// ---- Tuning ----
-const MAX_SPEED       = 280;   // km/h
-const ACCEL           = 48;    // km/h per second
-const BRAKE_FORCE     = 65;
+// ---- Tuning (per-vehicle performance lives in STOCK_VEHICLES) ----
 const ENGINE_BRAKE    = 10;
-const LATERAL_SPEED   = 14;    // m/s lateral movement
 const WHEEL_TURN_MAX  = Math.PI / 6; // 30 degrees
 const NITRO_MULTIPLIER = 1.4;  // Speed multiplier when nitro active
+const EDGE_RUNOFF     = 0.4;   // how far past the outer lane edge the car may drift
+const START_LANE      = 2;     // inside lane of the classic four (LaneLayout.js)
+const DRY_ROAD        = { brake: 1, lateral: 1, slide: 0 };   // until setWeather()
 
 // ---- Toon / DS-style materials ----
 const bodyMat  = new THREE.MeshToonMaterial({ color: 0x33cc55 });
@@ -25,6 +20,8 @@ const hlMat    = new THREE.MeshToonMaterial({ color: 0xffffff, emissive: 0xffffc
 const tlMat    = new THREE.MeshToonMaterial({ color: 0xff0000, emissive: 0xff0000, emissiveIntensity: 0.4 });
 const grilleMat = new THREE.MeshToonMaterial({ color: 0x333333 });
 const bedMat   = new THREE.MeshToonMaterial({ color: 0x444444 });
+const stripeMat = new THREE.MeshToonMaterial({ color: 0xf4f4f4 });
+const riderMat = new THREE.MeshToonMaterial({ color: 0x1c1c28 });
 
 // ---- Galaxy ShaderMaterial ----
 const galaxyVertexShader = `
@@ -77,17 +74,59 @@ function addOutline(parent, geo, scale) {
 const wGeo = new THREE.CylinderGeometry(0.35, 0.35, 0.25, 16);
 const bigWGeo = new THREE.CylinderGeometry(0.45, 0.45, 0.3, 16);
 
-export { BINDINGS, galaxyMat };
+export { galaxyMat };
 
 // ============================================================
-// Vehicle dimensions used for collision and camera
+// Stock vehicle registry — menu card, dimensions, performance, builder.
+// Menu.js generates the stock cards and garage cycler from this table, in order.
+//   halfW/halfL — collision half extents (m)
+//   topSpeed km/h · accel, brake km/h per s · lateralSpeed m/s (handling)
+//   nitroCapacity — nitro units (100 = 5 s of boost)
 // ============================================================
-const VEHICLE_SPECS = {
-  sports: { halfW: 1.0, halfL: 2.1, lateralSpeed: 14, wheelTurnMax: Math.PI / 6 },
-  truck:  { halfW: 1.15, halfL: 2.75, lateralSpeed: 11, wheelTurnMax: Math.PI / 8 },
-  limo:   { halfW: 1.0, halfL: 4.0, lateralSpeed: 10, wheelTurnMax: Math.PI / 7 },
+export const STOCK_VEHICLES = {
+  sports: {
+    name: 'Sports Car', desc: 'Fast & nimble', icon: '🏎',
+    halfW: 1.0, halfL: 2.1, lateralSpeed: 14, wheelTurnMax: Math.PI / 6,
+    topSpeed: 280, accel: 48, brake: 65, nitroCapacity: 100,
+    build: car => car._buildSportsCar(),
+  },
+  muscle: {
+    name: 'Muscle Car', desc: 'Brutal straight-line pace', icon: '🚘',
+    halfW: 1.05, halfL: 2.4, lateralSpeed: 12, wheelTurnMax: Math.PI / 7,
+    topSpeed: 300, accel: 58, brake: 52, nitroCapacity: 110,
+    build: car => car._buildMuscleCar(),
+  },
+  motorbike: {
+    name: 'Motorbike', desc: 'Slim & twitchy', icon: '🏍',
+    halfW: 0.45, halfL: 1.2, lateralSpeed: 18, wheelTurnMax: Math.PI / 5,
+    topSpeed: 290, accel: 62, brake: 70, nitroCapacity: 80,
+    build: car => car._buildMotorbike(),
+  },
+  truck: {
+    name: 'Truck', desc: 'Big tank, big bed', icon: '🛻',
+    halfW: 1.15, halfL: 2.75, lateralSpeed: 11, wheelTurnMax: Math.PI / 8,
+    topSpeed: 230, accel: 36, brake: 55, nitroCapacity: 140,
+    build: car => car._buildTruck(),
+  },
+  limo: {
+    name: 'Limo', desc: 'Long & luxurious', icon: '🚐',
+    halfW: 1.0, halfL: 4.0, lateralSpeed: 10, wheelTurnMax: Math.PI / 7,
+    topSpeed: 250, accel: 40, brake: 48, nitroCapacity: 120,
+    build: car => car._buildLimo(),
+  },
+  bus: {
+    name: 'Bus', desc: 'Slow, huge, unstoppable', icon: '🚌',
+    halfW: 1.35, halfL: 5.5, lateralSpeed: 8, wheelTurnMax: Math.PI / 9,
+    topSpeed: 190, accel: 27, brake: 42, nitroCapacity: 160,
+    build: car => car._buildBus(),
+  },
 };
 
+function statsOf(specs) {
+  const { topSpeed, accel, brake, lateralSpeed, nitroCapacity } = specs;
+  return { topSpeed, accel, brake, lateralSpeed, nitroCapacity };
+}
+
 export class CarController {
   constructor(scene) {
     this.scene = scene;
@@ -102,8 +141,10 @@ export class CarController {
 
     // Vehicle type
     this._vehicleType = 'sports';
-    this.halfW = VEHICLE_SPECS.sports.halfW;
-    this.halfL = VEHICLE_SPECS.sports.halfL;
+    this.halfW = STOCK_VEHICLES.sports.halfW;
+    this.halfL = STOCK_VEHICLES.sports.halfL;
+    this.hitboxes = singleHitbox(this.halfW, this.halfL);   // see Hitbox.js
+    this.stats    = statsOf(STOCK_VEHICLES.sports);         // see VehicleStats.js
 
     // Color mode: 'solid' | 'rainbow' | 'galaxy'
     this._colorMode = 'solid';
@@ -113,13 +154,26 @@ export class CarController {
     // Nitro state
     this.nitroActive = false;
 
+    // Fixed-step interpolation: position at the previous tick, and the true
+    // simulated position while the group is temporarily moved for rendering
+    this._prevPos     = new THREE.Vector3();
+    this._simPos      = new THREE.Vector3();
+    this._interpolated = false;
+
     // Custom car group reference (set by editor)
     this._customCarGroup = null;
     this._usingCustom = false;
 
+    // Open lanes ahead (World.lanes) — null keeps the classic four lanes
+    this._lanes = null;
+
+    // Road conditions (World.weather) and the sideways slide they allow
+    this._weather  = DRY_ROAD;
+    this._slideVel = 0;
+
     this._buildSportsCar();
 
-    const startX = laneToX(1);
+    const startX = laneToX(START_LANE);
     this.playerGroup.position.set(startX, 0, 0);
     this._targetX = startX;
     scene.add(this.playerGroup);
@@ -127,10 +181,12 @@ export class CarController {
 
   // ---- Set vehicle type ----
   setVehicle(type) {
-    this._vehicleType = type || 'sports';
-    const specs = VEHICLE_SPECS[this._vehicleType] || VEHICLE_SPECS.sports;
+    this._vehicleType = STOCK_VEHICLES[type] ? type : 'sports';
+    const specs = STOCK_VEHICLES[this._vehicleType];
     this.halfW = specs.halfW;
     this.halfL = specs.halfL;
+    this.hitboxes = singleHitbox(this.halfW, this.halfL);
+    this.stats    = statsOf(specs);
 
     // If switching to a standard vehicle, detach custom group
     this._usingCustom = false;
@@ -149,18 +205,31 @@ export class CarController {
     this._chassisMesh = null;
 
     // Build new mesh
-    if (this._vehicleType === 'truck') {
-      this._buildTruck();
-    } else if (this._vehicleType === 'limo') {
-      this._buildLimo();
-    } else {
-      this._buildSportsCar();
-    }
+    specs.build(this);
 
     // Restore position
     this.playerGroup.position.copy(pos);
   }
 
+  // ---- Lane layout: the open road edges limit steering ----
+  setLaneLayout(lanes) {
+    this._lanes = lanes;
+  }
+
+  // ---- Weather: the live World.weather conditions cut grip ----
+  setWeather(weather) {
+    this._weather = weather || DRY_ROAD;
+  }
+
+  // Clamp a lateral target between the open road edges at the car. Where a
+  // lane tapers shut the edge sweeps inward and shoves the car over with it.
+  _clampToRoad(x) {
+    const z = this.playerGroup.position.z;
+    const min = this._lanes ? this._lanes.edgeAt(z, -1) : laneToX(DEFAULT_LANES.lo) - LANE_WIDTH / 2;
+    const max = this._lanes ? this._lanes.edgeAt(z,  1) : laneToX(DEFAULT_LANES.hi) + LANE_WIDTH / 2;
+    return Math.max(min - EDGE_RUNOFF, Math.min(max + EDGE_RUNOFF, x));
+  }
+
   // ---- Attach custom car group from editor ----
   attachCustomGroup(customGroup) {
     this._customCarGroup = customGroup;
@@ -187,9 +256,14 @@ export class CarController {
 
     this._usingCustom = true;
     this._vehicleType = 'custom';
-    // Use sports car collision bounds as default for custom
-    this.halfW = VEHICLE_SPECS.sports.halfW;
-    this.halfL = VEHICLE_SPECS.sports.halfL;
+    // One collision box per part, so the hitbox matches what was built
+    const boxes = partHitboxes(this.playerGroup);
+    this.hitboxes = boxes.length > 0
+      ? boxes
+      : singleHitbox(STOCK_VEHICLES.sports.halfW, STOCK_VEHICLES.sports.halfL);
+    ({ halfW: this.halfW, halfL: this.halfL } = hitboxExtents(this.hitboxes));
+    // Mass from part volume, drag from frontal area
+    this.stats = deriveCustomStats(this.playerGroup);
   }
 
   // ---- Set car color ----
@@ -237,6 +311,12 @@ export class CarController {
     }
   }
 
+  // ---- Night lighting: 0 daylight → 1 night (World.lightLevel) ----
+  setLightLevel(level) {
+    hlMat.emissiveIntensity = 0.5 + level * 2.0;
+    tlMat.emissiveIntensity = 0.4 + level * 1.6;
+  }
+
   // ============================================================
   //  SPORTS CAR — Low profile, wide stance, large spoiler
   // ============================================================
@@ -402,6 +482,144 @@ export class CarController {
     this._addTaillights(g, -4.05);
   }
 
+  // ============================================================
+  //  MUSCLE CAR — Long hood, hood scoop, racing stripes, fat rears
+  // ============================================================
+  _buildMuscleCar() {
+    const g = this.playerGroup;
+
+    // Chassis — long and squared-off
+    const chassisGeo = new THREE.BoxGeometry(2.1, 0.6, 4.8);
+    const chassis = new THREE.Mesh(chassisGeo, bodyMat);
+    chassis.position.y = 0.55;
+    chassis.castShadow = true;
+    g.add(chassis);
+    addOutline(chassis, chassisGeo, 1.04);
+    this._chassisMesh = chassis;
+
+    // Cabin — set well back behind the long hood
+    const cabGeo = new THREE.BoxGeometry(1.7, 0.5, 1.7);
+    const cabin = new THREE.Mesh(cabGeo, cabinMat);
+    cabin.position.set(0, 1.1, -0.7);
+    cabin.castShadow = true;
+    g.add(cabin);
+
+    // Hood scoop
+    const scoop = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.2, 0.9), darkMat);
+    scoop.position.set(0, 0.95, 1.3);
+    g.add(scoop);
+
+    // Twin racing stripes, nose to tail
+    for (const sx of [-0.25, 0.25]) {
+      const stripe = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.02, 4.8), stripeMat);
+      stripe.position.set(sx, 0.86, 0);
+      g.add(stripe);
+    }
+
+    // Chrome bumpers
+    for (const z of [2.45, -2.45]) {
+      const bumper = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.18, 0.2), grilleMat);
+      bumper.position.set(0, 0.35, z);
+      g.add(bumper);
+    }
+
+    // Wheels — fat rears
+    this._addFrontWheels(g, wGeo, [-1.05, 1.05], 0.35, 1.6);
+    this._addRearWheels(g, bigWGeo, [-1.05, 1.05], 0.45, -1.6);
+
+    this._addHeadlights(g, 2.45);
+    this._addTaillights(g, -2.45);
+  }
+
+  // ============================================================
+  //  MOTORBIKE — Two wheels, rider, narrow everything
+  // ============================================================
+  _buildMotorbike() {
+    const g = this.playerGroup;
+
+    // Frame / fairing — the colorable chassis
+    const frameGeo = new THREE.BoxGeometry(0.45, 0.5, 1.7);
+    const frame = new THREE.Mesh(frameGeo, bodyMat);
+    frame.position.set(0, 0.75, 0.05);
+    frame.castShadow = true;
+    g.add(frame);
+    addOutline(frame, frameGeo, 1.06);
+    this._chassisMesh = frame;
+
+    // Tank + seat
+    const tank = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.25, 0.6), bodyMat);
+    tank.position.set(0, 1.1, 0.35);
+    g.add(tank);
+    const seat = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.12, 0.7), darkMat);
+    seat.position.set(0, 1.06, -0.35);
+    g.add(seat);
+
+    // Rider — tucked in
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.6, 0.35), riderMat);
+    torso.position.set(0, 1.45, -0.15);
+    torso.rotation.x = 0.6;
+    torso.castShadow = true;
+    g.add(torso);
+    const helmet = new THREE.Mesh(new THREE.SphereGeometry(0.2, 10, 8), bodyMat);
+    helmet.position.set(0, 1.8, 0.15);
+    g.add(helmet);
+
+    // Front fork
+    const fork = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.7, 0.08), grilleMat);
+    fork.position.set(0, 0.75, 0.95);
+    fork.rotation.x = -0.3;
+    g.add(fork);
+
+    // Wheels — one of each, on the centreline
+    this._addFrontWheels(g, wGeo, [0], 0.35, 0.9);
+    this._addRearWheels(g, wGeo, [0], 0.35, -0.85);
+
+    this._addHeadlights(g, 1.0, [0]);
+    this._addTaillights(g, -0.9, [0]);
+  }
+
+  // ============================================================
+  //  BUS — Tall box, window band, double rear axle
+  // ============================================================
+  _buildBus() {
+    const g = this.playerGroup;
+
+    // Body — tall and very long
+    const bodyGeo = new THREE.BoxGeometry(2.6, 2.4, 11.0);
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.y = 1.6;
+    body.castShadow = true;
+    g.add(body);
+    addOutline(body, bodyGeo, 1.02);
+    this._chassisMesh = body;
+
+    // Window band down both sides + windscreen
+    for (const sx of [-1.31, 1.31]) {
+      const band = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.8, 9.6), cabinMat);
+      band.position.set(sx, 2.2, -0.3);
+      g.add(band);
+    }
+    const screen = new THREE.Mesh(new THREE.BoxGeometry(2.3, 1.0, 0.05), cabinMat);
+    screen.position.set(0, 2.1, 5.51);
+    g.add(screen);
+
+    // Roof hatch + bumper
+    const hatch = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.15, 1.4), darkMat);
+    hatch.position.set(0, 2.87, -1.5);
+    g.add(hatch);
+    const bumper = new THREE.Mesh(new THREE.BoxGeometry(2.7, 0.3, 0.25), darkMat);
+    bumper.position.set(0, 0.45, 5.55);
+    g.add(bumper);
+
+    // Wheels — front axle, double rear axle
+    this._addFrontWheels(g, bigWGeo, [-1.2, 1.2], 0.45, 3.8);
+    this._addRearWheels(g, bigWGeo, [-1.2, 1.2], 0.45, -2.8);
+    this._addRearWheels(g, bigWGeo, [-1.2, 1.2], 0.45, -3.9);
+
+    this._addHeadlights(g, 5.55, [-1.0, 1.0]);
+    this._addTaillights(g, -5.55, [-1.0, 1.0]);
+  }
+
   // ============================================================
   //  Shared wheel/light helpers
   // ============================================================
@@ -430,18 +648,18 @@ export class CarController {
     }
   }
 
-  _addHeadlights(g, z) {
+  _addHeadlights(g, z, xPositions = [-0.7, 0.7]) {
     const hlGeo = new THREE.SphereGeometry(0.14, 8, 8);
-    for (const sx of [-0.7, 0.7]) {
+    for (const sx of xPositions) {
       const hl = new THREE.Mesh(hlGeo, hlMat);
       hl.position.set(sx, 0.55, z);
       g.add(hl);
     }
   }
 
-  _addTaillights(g, z) {
+  _addTaillights(g, z, xPositions = [-0.7, 0.7]) {
     const tlGeo = new THREE.BoxGeometry(0.28, 0.1, 0.05);
-    for (const sx of [-0.7, 0.7]) {
+    for (const sx of xPositions) {
       const tl = new THREE.Mesh(tlGeo, tlMat);
       tl.position.set(sx, 0.55, z);
       g.add(tl);
@@ -451,13 +669,15 @@ export class CarController {
   // ---- Per-frame update ----
   update(dt, input) {
     // Effective max speed (nitro boost)
-    const effectiveMax = this.nitroActive ? MAX_SPEED * NITRO_MULTIPLIER : MAX_SPEED;
+    const st = this.stats;
+    const w  = this._weather;
+    const effectiveMax = this.nitroActive ? st.topSpeed * NITRO_MULTIPLIER : st.topSpeed;
 
     // Forward speed
     if (input.gas) {
-      this.speed = Math.min(effectiveMax, this.speed + ACCEL * dt);
+      this.speed = Math.min(effectiveMax, this.speed + st.accel * dt);
     } else if (input.brake) {
-      this.speed = Math.max(0, this.speed - BRAKE_FORCE * dt);
+      this.speed = Math.max(0, this.speed - st.brake * w.brake * dt);
     } else {
       this.speed = Math.max(0, this.speed - ENGINE_BRAKE * dt);
     }
@@ -465,16 +685,25 @@ export class CarController {
     const speedMs = this.speed / 3.6;
 
     // ── Smooth continuous steering (Gold Standard — do not revert) ──
-    const specs = VEHICLE_SPECS[this._vehicleType] || VEHICLE_SPECS.sports;
-    this._lateralDir = 0;
-    if (input.left  || input.moveDir < 0) this._lateralDir = -1;
-    if (input.right || input.moveDir > 0) this._lateralDir =  1;
-
-    this._targetX += this._lateralDir * specs.lateralSpeed * dt;
-    const limit = ROAD_HALF - 1.6;
-    this._targetX = Math.max(-limit, Math.min(limit, this._targetX));
+    // moveDir is fractional for analog sticks; digital left/right fall back to ±1
+    let dir = THREE.MathUtils.clamp(input.moveDir || 0, -1, 1);
+    if (dir === 0) {
+      if (input.left)  dir = -1;
+      if (input.right) dir =  1;
+    }
+    this._lateralDir = dir;
+
+    // Wet roads answer the stick slower; on snow the car keeps sliding
+    // for a moment after it's let go (dry roads: exactly the stick)
+    const lateralVel = this._lateralDir * st.lateralSpeed * w.lateral;
+    this._slideVel = w.slide > 0
+      ? this._slideVel + (lateralVel - this._slideVel) * Math.min(1, dt / w.slide)
+      : lateralVel;
+    const wanted = this._targetX + this._slideVel * dt;
+    this._targetX = this._clampToRoad(wanted);
+    if (this._targetX !== wanted) this._slideVel = 0;   // stopped by the road edge
     this.playerGroup.position.x = THREE.MathUtils.lerp(
-      this.playerGroup.position.x, this._targetX, 0.2
+      this.playerGroup.position.x, this._targetX, 0.2 * w.lateral
     );
 
     // Forward
@@ -483,9 +712,7 @@ export class CarController {
     this.playerGroup.rotation.set(0, 0, 0);
 
     // ── Front wheel steering ────────────────────────────────────
-    let targetWheelY = 0;
-    if (this._lateralDir < 0) targetWheelY =  0.5;
-    if (this._lateralDir > 0) targetWheelY = -0.5;
+    const targetWheelY = -this._lateralDir * 0.5;
     for (const pivot of this.frontWheelPivots) {
       pivot.rotation.y = THREE.MathUtils.lerp(pivot.rotation.y, targetWheelY, Math.min(1, 12 * dt));
     }
@@ -506,6 +733,34 @@ export class CarController {
     this._tickColorAnimations();
   }
 
+  // ---- Damage model: physical response to a non-fatal hit ----
+  /**
+   * Shove clear of the other car, bounce sideways and scrub speed.
+   * @param {object} contact — from TrafficManager.checkCollision()
+   */
+  bump(contact) {
+    const pos = this.playerGroup.position;
+    const strength = Math.min(1, contact.relSpeed / 80);
+
+    if (contact.type === 'side') {
+      pos.x -= contact.side * contact.overlapX;
+      this._targetX = pos.x - contact.side * (1.2 + 1.8 * strength);
+      this.speed *= 0.9;
+    } else if (contact.ahead) {
+      // Rear-ended someone: stop short behind them and glance off
+      pos.z -= contact.overlapZ;
+      this._targetX = pos.x - contact.side * (0.6 + 1.2 * strength);
+      this.speed = Math.max(0, this.speed - contact.relSpeed * 0.6 - 10);
+    } else {
+      // Rear-ended by someone faster: shunted forward
+      pos.z += contact.overlapZ;
+      this.speed += contact.relSpeed * 0.4;
+    }
+
+    this._targetX = this._clampToRoad(this._targetX);
+    this._slideVel = 0;
+  }
+
   // ---- Tick shader/color animations without advancing physics ----
   // Called during garage turntable preview so rainbow/galaxy stay alive.
   tickAnimations() {
@@ -530,20 +785,44 @@ export class CarController {
     }
   }
 
+  // ---- Fixed-step interpolation ----
+  // snapshot() before each tick; interpolate() before render; restore() after.
+  snapshot() {
+    this._prevPos.copy(this.playerGroup.position);
+  }
+
+  interpolate(alpha) {
+    if (this._interpolated) return;
+    const pos = this.playerGroup.position;
+    this._simPos.copy(pos);
+    pos.lerpVectors(this._prevPos, this._simPos, alpha);
+    this._interpolated = true;
+  }
+
+  restore() {
+    if (!this._interpolated) return;
+    this.playerGroup.position.copy(this._simPos);
+    this._interpolated = false;
+  }
+
   // ---- Reset ----
-  reset() {
+  /** @param {number} [lane] — lane slot to start in (LaneLayout.js) */
+  reset(lane = START_LANE) {
     this.speed       = 0;
     this._lateralDir = 0;
+    this._slideVel   = 0;
     this.nitroActive = false;
-    this._targetX    = laneToX(1); // centre lane
+    this._targetX    = laneToX(lane);
     this.playerGroup.position.set(this._targetX, 0, 0);
     this.playerGroup.rotation.set(0, 0, 0);
+    this._prevPos.copy(this.playerGroup.position);
+    this._interpolated = false;
     for (const pivot of this.frontWheelPivots) pivot.rotation.y = 0;
   }
 
   get absSpeed()   { return Math.abs(this.speed); }
   get posX()       { return this.playerGroup.position.x; }
   get posZ()       { return this.playerGroup.position.z; }
-  // Exposed for camera Z-roll: -1 (left), 0 (straight), +1 (right)
+  // Exposed for camera Z-roll: -1 (left) … 0 (straight) … +1 (right)
   get lateralDir() { return this._lateralDir; }
 }
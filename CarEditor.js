@@ -7,6 +7,7 @@
 import * as THREE from 'three';
 import { OrbitControls }     from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { partHitboxes } from './Hitbox.js';
 
 const MAX_PARTS = 20; // excludes the 4 default wheels
 
@@ -33,6 +34,10 @@ const WHEEL_DEFS = [
 // Shared toon material for spawned parts
 const editorMat = new THREE.MeshToonMaterial({ color: 0x888888 });
 
+// Collision overlay — one wireframe box per part hitbox
+const hitboxGeo = new THREE.BoxGeometry(1, 1, 1);
+const hitboxMat = new THREE.MeshBasicMaterial({ color: 0xff3333, wireframe: true, transparent: true, opacity: 0.6 });
+
 let _idCounter = 0;
 function nextId() { return `part_${++_idCounter}`; }
 
@@ -67,6 +72,8 @@ export class CarEditor {
     this._gridHelper    = null;
     this._editorAmbient = null;
     this._editorDir     = null;
+    this._hitboxOverlay = null;   // Group of wireframe boxes, scene-level (never cloned into the player)
+    this._showHitboxes  = true;
 
     // ---- Controls ----
     this._orbitControls     = null;
@@ -121,6 +128,7 @@ export class CarEditor {
     this._transformControls.addEventListener('objectChange', () => {
       this._syncMetadataFromMesh();
       this._refreshInfoPanel();
+      this._refreshHitboxOverlay();
     });
   }
 
@@ -199,13 +207,37 @@ export class CarEditor {
     this._editorDir = new THREE.DirectionalLight(0xffffff, 0.85);
     this._editorDir.position.set(5, 10, 5);
     this.scene.add(this._editorDir);
+
+    this._hitboxOverlay = new THREE.Group();
+    this.scene.add(this._hitboxOverlay);
+    this._refreshHitboxOverlay();
   }
 
   _teardownEnv() {
-    for (const obj of [this._gridHelper, this._editorAmbient, this._editorDir]) {
+    for (const obj of [this._gridHelper, this._editorAmbient, this._editorDir, this._hitboxOverlay]) {
       if (obj) { this.scene.remove(obj); if (obj.dispose) obj.dispose(); }
     }
-    this._gridHelper = this._editorAmbient = this._editorDir = null;
+    this._gridHelper = this._editorAmbient = this._editorDir = this._hitboxOverlay = null;
+  }
+
+  // ============================================================
+  //  COLLISION OVERLAY — the hitboxes gameplay will use (Hitbox.js)
+  // ============================================================
+
+  _refreshHitboxOverlay() {
+    const overlay = this._hitboxOverlay;
+    if (!overlay) return;
+    overlay.clear();
+    overlay.visible = this._showHitboxes;
+
+    // Collision is top-down, so each box runs from the road up to its part
+    for (const b of partHitboxes(this.customCarGroup)) {
+      const top = Math.max(b.maxY, 0.05);
+      const m = new THREE.Mesh(hitboxGeo, hitboxMat);
+      m.scale.set(b.halfW * 2, top, b.halfL * 2);
+      m.position.set(b.x, top / 2, b.z);
+      overlay.add(m);
+    }
   }
 
   // ============================================================
@@ -640,6 +672,12 @@ export class CarEditor {
       if (confirm('Clear all custom parts? Wheels will remain.')) this.clearUserParts();
     });
 
+    on('editor-show-hitbox', 'change', () => {
+      const cb = document.getElementById('editor-show-hitbox');
+      this._showHitboxes = !cb || cb.checked;
+      this._refreshHitboxOverlay();
+    });
+
     on('editor-colorable', 'change', () => {
       const cb = document.getElementById('editor-colorable');
       if (cb) this.setPartColorable(cb.checked);
@@ -676,6 +714,8 @@ export class CarEditor {
   }
 
   _updatePartsList() {
+    this._refreshHitboxOverlay();   // part set changed
+
     const list = document.getElementById('editor-parts-list');
     if (!list) return;
 
@@ -0,0 +1,41 @@
+// GameModes.js — Rules table for each game mode
+// main.js reads these to decide how a run ends, what the mode HUD shows and
+// how rough the traffic drives; Menu.js reads the names for the mode selector
+// and garage badge.
+
+export const GAME_MODES = {
+  endless: {
+    name:   'Endless',
+    desc:   'Drive until you crash',
+    record: 'score',          // personal-best field that earns the ghost
+    aggression: 0.15,         // share of drivers who signal late or not at all
+  },
+  timeAttack: {
+    name:   'Time Attack',
+    desc:   'Reach 5 km, fast',
+    record: 'time',
+    aggression: 0.25,
+    targetDistance: 5000,     // metres to the finish
+  },
+  checkpoint: {
+    name:   'Checkpoint',
+    desc:   'Beat the clock gate to gate',
+    record: 'distance',
+    aggression: 0.2,
+    startTime:    30,         // seconds on the clock at the start
+    gateBonus:    12,         // seconds added per gate
+    gateSegments: 8,          // World spawns a gate every N road segments
+  },
+};
+
+export const DEFAULT_MODE = 'endless';
+
+/** Mode rules by id; unknown ids (old saves, bad imports) fall back to Endless. */
+export function getMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE];
+}
+
+/** Normalise a mode id — anything unknown becomes the default. */
+export function modeId(id) {
+  return GAME_MODES[id] ? id : DEFAULT_MODE;
+}
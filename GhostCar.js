@@ -0,0 +1,89 @@
+// GhostCar.js — Translucent ghost that retraces a recorded run
+// The ghost never touches the simulation: it isn't in the traffic pool, so
+// checkCollision ignores it, and it is placed purely from the replay's track.
+
+import * as THREE from 'three';
+import { CarController } from './CarController.js';
+import { ghostPositionAt } from './Replay.js';
+
+const GHOST_OPACITY = 0.35;
+
+export class GhostCar {
+  constructor(scene) {
+    // Reuse CarController's builders for the mesh; its physics is never run
+    this._car = new CarController(scene);
+    this._car.playerGroup.visible = false;
+    this.replay = null;
+    this.active = false;
+  }
+
+  get group() { return this._car.playerGroup; }
+
+  /**
+   * Load a replay and build the ghost's vehicle.
+   * @param {object}           replay      — replay with a `track`
+   * @param {THREE.Group|null} customGroup — editor.getCustomCarGroup() holding
+   *                                         the replay's custom build, or null for stock
+   */
+  load(replay, customGroup) {
+    this.replay = replay;
+
+    if (customGroup) {
+      this._car.attachCustomGroup(customGroup);
+      this._car.useCustomCar();
+    } else {
+      this._car.setVehicle(replay.vehicleType || 'sports');
+    }
+    this._makeTranslucent(replay.color);
+
+    this.active = !!(replay.track && replay.track.length > 0);
+    this.group.visible = this.active;
+    this.update(0);
+  }
+
+  unload() {
+    this.replay = null;
+    this.active = false;
+    this.group.visible = false;
+  }
+
+  /**
+   * Place the ghost for a (fractional) simulation tick.
+   * @returns {{ x: number, z: number, finished: boolean }|null}
+   */
+  update(tick) {
+    if (!this.active) return null;
+    const p = ghostPositionAt(this.replay.track, tick);
+    if (!p) return null;
+    this.group.position.set(p.x, 0, p.z);
+    this.group.rotation.set(0, 0, 0);
+    return p;
+  }
+
+  setVisibility(visible) {
+    this.group.visible = visible && this.active;
+  }
+
+  // Cloned per mesh — the stock builders share materials with the real player car
+  _makeTranslucent(color) {
+    const tint = (typeof color === 'string' && color.startsWith('#')) ? color : '#88ccff';
+    this.group.traverse(child => {
+      if (!child.isMesh) return;
+      const src = child.material;
+      let mat;
+      if (src.isShaderMaterial || (child.userData.isColorable && !src.color)) {
+        mat = new THREE.MeshToonMaterial({ color: tint });
+      } else {
+        mat = src.clone();
+        if (mat.color && (child === this._car._chassisMesh || child.userData.isColorable)) {
+          mat.color.set(tint);
+        }
+      }
+      mat.transparent = true;
+      mat.opacity     = GHOST_OPACITY;
+      mat.depthWrite  = false;
+      child.material  = mat;
+      child.castShadow = false;
+    });
+  }
+}
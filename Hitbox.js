@@ -0,0 +1,52 @@
+// Hitbox.js — Top-down collision boxes for cars
+// Collision is 2D on the road plane, so a hitbox is an XZ rectangle offset
+// from the car's origin: { x, z, halfW, halfL }. Stock cars use one box;
+// custom builds get one box per part, so the shape follows what was built.
+
+import * as THREE from 'three';
+
+const _box = new THREE.Box3();
+
+/** Single centred box — stock vehicles. */
+export function singleHitbox(halfW, halfL) {
+  return [{ x: 0, z: 0, halfW, halfL }];
+}
+
+/**
+ * One box per mesh that is a direct child of `group`, in the group's local
+ * space (rotation and scale included).
+ * @param {THREE.Group} group — e.g. editor.getCustomCarGroup() or a player group
+ * @returns {{ x: number, z: number, halfW: number, halfL: number, minY: number, maxY: number }[]}
+ */
+export function partHitboxes(group) {
+  const boxes = [];
+  for (const child of group.children) {
+    if (!child.isMesh || !child.geometry) continue;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    child.updateMatrix();
+    _box.copy(child.geometry.boundingBox).applyMatrix4(child.matrix);
+    if (_box.isEmpty()) continue;
+    boxes.push({
+      x:     (_box.min.x + _box.max.x) / 2,
+      z:     (_box.min.z + _box.max.z) / 2,
+      halfW: (_box.max.x - _box.min.x) / 2,
+      halfL: (_box.max.z - _box.min.z) / 2,
+      minY:  _box.min.y,
+      maxY:  _box.max.y,
+    });
+  }
+  return boxes;
+}
+
+/**
+ * Half extents about the origin that enclose every box — for anything that
+ * still wants a single halfW/halfL (near-miss spacing, camera, HUD).
+ */
+export function hitboxExtents(boxes) {
+  let halfW = 0, halfL = 0;
+  for (const b of boxes) {
+    halfW = Math.max(halfW, Math.abs(b.x) + b.halfW);
+    halfL = Math.max(halfL, Math.abs(b.z) + b.halfL);
+  }
+  return { halfW, halfL };
+}
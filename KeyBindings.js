@@ -0,0 +1,150 @@
+// KeyBindings.js — User-remappable action → keys table
+// getInput() in main.js asks "is this action held?" instead of hardcoding codes.
+// Bindings use KeyboardEvent.code (layout-independent) and persist to localStorage.
+
+const STORAGE_KEY   = 'racing_key_bindings';
+const KEYS_PER_ACTION = 2;   // primary + alternate slot
+
+// Display order for the rebinding screen and the help text
+export const ACTIONS = [
+  { id: 'gas',   label: 'Accelerate' },
+  { id: 'brake', label: 'Brake'      },
+  { id: 'left',  label: 'Left'       },
+  { id: 'right', label: 'Right'      },
+  { id: 'nitro', label: 'Nitro'      },
+  { id: 'pause', label: 'Pause'      },
+];
+
+const DEFAULT_BINDINGS = {
+  gas:   ['KeyW', 'ArrowUp'],
+  brake: ['Space', null],
+  left:  ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  nitro: ['ShiftLeft', 'ShiftRight'],
+  pause: ['Escape', null],
+};
+
+const KEY_LABELS = {
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  ShiftLeft: 'Shift', ShiftRight: 'R-Shift',
+  ControlLeft: 'Ctrl', ControlRight: 'R-Ctrl',
+  AltLeft: 'Alt', AltRight: 'R-Alt',
+  Escape: 'Esc', Space: 'Space', Enter: 'Enter', Tab: 'Tab', Backspace: 'Bksp',
+};
+
+function _cloneDefaults() {
+  const out = {};
+  for (const a of ACTIONS) out[a.id] = [...DEFAULT_BINDINGS[a.id]];
+  return out;
+}
+
+/** 'KeyW' → 'W', 'Digit3' → '3', 'ArrowUp' → '↑' */
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key'))    return code.slice(3);
+  if (code.startsWith('Digit'))  return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+export class KeyBindings {
+  constructor() {
+    this.table = this._read();
+  }
+
+  // ============================================================
+  //  INTERNAL I/O
+  // ============================================================
+
+  _read() {
+    const table = _cloneDefaults();
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (saved && typeof saved === 'object') {
+        for (const a of ACTIONS) {
+          if (!Array.isArray(saved[a.id])) continue;
+          table[a.id] = Array.from({ length: KEYS_PER_ACTION }, (_, i) =>
+            typeof saved[a.id][i] === 'string' ? saved[a.id][i] : null);
+        }
+      }
+    } catch {
+      // corrupt entry — fall back to defaults
+    }
+    return table;
+  }
+
+  _write() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.table));
+  }
+
+  // ============================================================
+  //  LOOKUP
+  // ============================================================
+
+  /** True if any key bound to `action` is currently held in `keysDown`. */
+  isDown(action, keysDown) {
+    const keys = this.table[action];
+    if (!keys) return false;
+    for (const code of keys) if (code && keysDown[code]) return true;
+    return false;
+  }
+
+  /** True if `code` is one of `action`'s keys. */
+  matches(action, code) {
+    const keys = this.table[action];
+    return !!keys && keys.includes(code);
+  }
+
+  /** Action currently using `code`, or null. */
+  actionForKey(code) {
+    for (const a of ACTIONS) {
+      if (this.table[a.id].includes(code)) return a.id;
+    }
+    return null;
+  }
+
+  getKeys(action) {
+    return [...(this.table[action] || [])];
+  }
+
+  // ============================================================
+  //  REBIND — with conflict detection
+  // ============================================================
+
+  /**
+   * Bind `code` to `action` at `slot`. If another action already uses the key,
+   * the two bindings are swapped so no key ever drives two actions.
+   * @returns {string|null} the conflicting action id that was swapped, if any
+   */
+  rebind(action, slot, code) {
+    if (!this.table[action] || slot < 0 || slot >= KEYS_PER_ACTION) return null;
+
+    const previous = this.table[action][slot];
+    let conflict = null;
+
+    for (const a of ACTIONS) {
+      const keys = this.table[a.id];
+      const idx  = keys.indexOf(code);
+      if (idx === -1) continue;
+      if (a.id === action && idx === slot) return null; // unchanged
+      if (a.id !== action) conflict = a.id;
+      keys[idx] = (a.id === action) ? null : previous;
+    }
+
+    this.table[action][slot] = code;
+    this._write();
+    return conflict;
+  }
+
+  clear(action, slot) {
+    if (!this.table[action]) return;
+    this.table[action][slot] = null;
+    this._write();
+  }
+
+  resetDefaults() {
+    this.table = _cloneDefaults();
+    this._write();
+  }
+}
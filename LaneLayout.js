@@ -0,0 +1,176 @@
+// LaneLayout.js — Which lanes are open where: per-segment lane topology
+// The highway has LANE_SLOTS lane positions side by side; each road segment
+// opens a contiguous run of them. Stretches widen to 5–6 lanes or narrow to
+// 2–3, either as a painted merge or as cone-marked road works, and lanes
+// close or open with a taper one segment long. Like RoadPath it is generated
+// in order from a seed — but unlike the bends, the open road edges are part
+// of the simulation (player clamp, traffic merges), so replays depend on it.
+
+import { createRng } from './Random.js';
+
+export const LANE_SLOTS = 6;
+export const LANE_WIDTH = 3.8;
+export const DEFAULT_LANES = { lo: 1, hi: 4, works: false };   // the classic four lanes
+
+/** Lateral offset of a lane slot's centre in road space. */
+export function laneToX(lane) {
+  return (lane - (LANE_SLOTS - 1) / 2) * LANE_WIDTH;
+}
+
+/** Nearest lane slot to a lateral offset. */
+export function xToLane(x) {
+  const lane = Math.round(x / LANE_WIDTH + (LANE_SLOTS - 1) / 2);
+  return Math.max(0, Math.min(LANE_SLOTS - 1, lane));
+}
+
+// ---- Generation ----
+const START_SEGMENTS = 8;      // classic four lanes off the start line
+const STRETCH_MIN    = 6;      // segments per stretch
+const STRETCH_MAX    = 14;
+const VARIANT_CHANCE = 0.45;   // odds the next stretch isn't the classic four
+const WORKS_CHANCE   = 0.5;    // odds a narrowing is road works rather than a merge
+const VARIANTS = [
+  { lo: 2, hi: 3 },            // 2 lanes
+  { lo: 1, hi: 3 },            // 3 lanes, outer lanes closed on one side
+  { lo: 2, hi: 4 },
+  { lo: 1, hi: 5 },            // 5 lanes
+  { lo: 0, hi: 4 },
+  { lo: 0, hi: 5 },            // 6 lanes
+];
+
+const OPEN_EPS = 0.01;
+
+// Road works keep their closed lanes paved (coned off); merges lose the tarmac
+function edgeOf(seg, side, paved) {
+  if (paved && seg.works) seg = DEFAULT_LANES;
+  return side < 0
+    ? laneToX(seg.lo) - LANE_WIDTH / 2
+    : laneToX(seg.hi) + LANE_WIDTH / 2;
+}
+
+export class LaneLayout {
+  /** @param {number} segmentLen — World's SEGMENT_LEN; segment k is centred on k * segmentLen */
+  constructor(segmentLen) {
+    this.segmentLen = segmentLen;
+    this._seed = null;           // null = Math.random (menu demo)
+    this._rng  = Math.random;
+    this._segs = [];
+    this._stretchLeft = 0;
+    this._edges = { min: 0, max: 0 };
+    this.reset();
+  }
+
+  /** Seed the layout (null = Math.random). Takes effect on the next reset(). */
+  setSeed(seed) {
+    this._seed = seed;
+  }
+
+  reset() {
+    this._rng  = this._seed === null ? Math.random : createRng(this._seed);
+    this._segs = [];
+    this._stretchLeft = START_SEGMENTS;
+    this._current = DEFAULT_LANES;
+  }
+
+  _ensure(k) {
+    while (this._segs.length <= k) {
+      if (this._stretchLeft <= 0) this._nextStretch();
+      this._segs.push(this._current);
+      this._stretchLeft--;
+    }
+  }
+
+  // Variants always return to the classic four, so every taper starts or ends there
+  _nextStretch() {
+    const variant = this._rng() < VARIANT_CHANCE;
+    const pick    = VARIANTS[Math.floor(this._rng() * VARIANTS.length)];
+    const works   = this._rng() < WORKS_CHANCE;
+    const length  = STRETCH_MIN + Math.floor(this._rng() * (STRETCH_MAX - STRETCH_MIN + 1));
+
+    if (variant && this._current === DEFAULT_LANES) {
+      const narrower = pick.hi - pick.lo < DEFAULT_LANES.hi - DEFAULT_LANES.lo;
+      this._current = { lo: pick.lo, hi: pick.hi, works: narrower && works };
+    } else {
+      this._current = DEFAULT_LANES;
+    }
+    this._stretchLeft = length;
+  }
+
+  // ---- Queries ----
+
+  /** Segment index whose span contains road distance z. */
+  segmentIndex(z) {
+    return Math.floor(z / this.segmentLen + 0.5);
+  }
+
+  /** Lane data for segment k: { lo, hi, works }. */
+  segment(k) {
+    if (k < 0) return DEFAULT_LANES;
+    this._ensure(k);
+    return this._segs[k];
+  }
+
+  /**
+   * Lateral offset of the open road's edge on one side at distance z.
+   * Where lanes end the edge tapers in across the segment before the
+   * narrowing; where they begin it tapers out across the first wide segment.
+   * @param {number} z
+   * @param {-1|1} side
+   * @param {boolean} [paved] — edge of the tarmac instead (road works stay paved)
+   */
+  edgeAt(z, side, paved = false) {
+    const k = this.segmentIndex(z);
+    const t = z / this.segmentLen - (k - 0.5);   // 0 → 1 through segment k
+    const here = edgeOf(this.segment(k), side, paved);
+    const next = edgeOf(this.segment(k + 1), side, paved);
+    const prev = edgeOf(this.segment(k - 1), side, paved);
+
+    if ((next - here) * side < 0) return here + (next - here) * t;          // closing
+    if ((prev - here) * side < 0) return prev + (here - prev) * t;          // opening
+    return here;
+  }
+
+  /** Both open-road edges at z; returns a shared object. */
+  edgesAt(z) {
+    this._edges.min = this.edgeAt(z, -1);
+    this._edges.max = this.edgeAt(z, 1);
+    return this._edges;
+  }
+
+  /** Lane is fully open at z (not closed, and not inside a taper). */
+  laneOpen(lane, z) {
+    const x = laneToX(lane);
+    return x - LANE_WIDTH / 2 >= this.edgeAt(z, -1) - OPEN_EPS
+        && x + LANE_WIDTH / 2 <= this.edgeAt(z, 1) + OPEN_EPS;
+  }
+
+  /** Lanes fully open at z, low to high. */
+  openLanes(z) {
+    const lanes = [];
+    for (let lane = 0; lane < LANE_SLOTS; lane++) {
+      if (this.laneOpen(lane, z)) lanes.push(lane);
+    }
+    return lanes;
+  }
+
+  /**
+   * Metres until `lane` stops being open, looking `range` ahead of z
+   * (checked every 10 m); Infinity if it stays open that far.
+   * @param {1|-1} [dir] — direction of travel; -1 looks back down the road (oncoming traffic)
+   */
+  laneEndsIn(lane, z, range, dir = 1) {
+    for (let d = 0; d <= range; d += 10) {
+      if (!this.laneOpen(lane, z + d * dir)) return d;
+    }
+    return Infinity;
+  }
+
+  /** Road works cones line this side of segment k (works stretch or its tapers). */
+  hasCones(k, side) {
+    const here = this.segment(k);
+    for (const other of [this.segment(k - 1), this.segment(k + 1)]) {
+      if (other.works && (edgeOf(other, side) - edgeOf(here, side)) * side < 0) return true;
+    }
+    return here.works && (edgeOf(here, side) - edgeOf(DEFAULT_LANES, side)) * side < 0;
+  }
+}
@@ -1,50 +1,74 @@
 // Menu.js — Full state-machine menu (v3)
 // Flow:
-//   Main → Mode (Stock | Custom)
-//   Stock → Stock Gallery (Sports, Limo) → Map Select → Garage
+//   Main → Mode (Endless | Time Attack | Checkpoint  ×  Stock | Custom)
+//   Stock → Stock Gallery (cards from CarController's STOCK_VEHICLES) → Map Select → Garage
 //   Custom → Custom Gallery (scrollable Build Cards) → Map Select → Garage
+//   Main → Replays (saved replay cards) → [Watch] → replay viewer (main.js)
 //             [+] New Build → Editor → back to Custom Gallery
 //             [Edit] → Editor (load existing) → back to Custom Gallery
 //             [Delete] → remove card, refresh gallery
 
 import { SaveManager } from './SaveManager.js';
+import { RunHistory }  from './RunHistory.js';
+import { KeyBindings, ACTIONS, keyLabel } from './KeyBindings.js';
+import { parseSeed } from './Random.js';
+import { comboKey }  from './RunHistory.js';
+import { validateReplay, isReplayCurrent } from './Replay.js';
+import { GAME_MODES, DEFAULT_MODE, getMode } from './GameModes.js';
+import { STAT_BARS } from './VehicleStats.js';
+import { STOCK_VEHICLES } from './CarController.js';
 
 const THEME_LABELS = {
-  snow: 'Snow', desert: 'Desert', rain: 'Rain', dynamic: 'Dynamic',
+  snow: 'Snow', desert: 'Desert', rain: 'Rain', night: 'Night',
+  cycle: 'Day/Night', dynamic: 'Dynamic',
 };
 
-const STOCK_VEHICLES = [
-  { type: 'sports', name: 'Sports Car' },
-  { type: 'limo',   name: 'Limo'       },
-];
+const STOCK_TYPES = Object.keys(STOCK_VEHICLES);   // cycler / card order
 
 export class Menu {
   constructor(onStart, onGaragePreview) {
-    this._onStart         = onStart;          // (theme, carColor, vehicleType, carId)
+    this._onStart         = onStart;          // (theme, carColor, vehicleType, carId, seed, ghostReplay, gameMode, damage, police, oncoming)
     this._onGaragePreview = onGaragePreview;  // (theme, vehicleType, carColor)
 
     // External callbacks wired up by main.js
     this.onEditorOpen  = null;   // (carId | null) — null means fresh canvas
+    this.onReplayOpen  = null;   // (replayId) — open a saved replay in the viewer
+    this.onGhostRace   = null;   // (replayId) — race a saved/imported replay as a ghost
     this.saveManager   = new SaveManager();
+    this.runHistory    = new RunHistory();
+    this.keyBindings   = new KeyBindings();
 
     // Selection state
     this._mode           = 'stock';    // 'stock' | 'custom'
+    this._gameMode       = DEFAULT_MODE;   // key of GAME_MODES
+    this._damage         = false;          // damage model on/off
+    this._police         = false;          // police heat on/off
+    this._oncoming       = false;          // oncoming traffic on/off
     this._vehicleType    = 'sports';
     this._selectedColor  = '#33cc55';
     this._selectedTheme  = 'dynamic';
     this._activeCarId    = null;       // custom car being previewed / edited
     this._editingCarId   = null;       // ID when editing an existing build
+    this._ghostReplay    = null;       // personal-best ghost to race, if toggled on
 
     // Stage history stack for back navigation
     this._stageHistory = [];
 
+    // Controls (rebinding) screen state
+    this._controlsOnClose = null;
+    this._listening       = null;   // { action, slot } while waiting for a key
+    this._onControlsKey   = this._handleControlsKey.bind(this);
+
     // DOM refs
-    this._startScreen = document.getElementById('start-screen');
-    this._garagePanel = document.getElementById('garage-panel');
-    this._colorInput  = document.getElementById('car-color-input');
+    this._startScreen    = document.getElementById('start-screen');
+    this._garagePanel    = document.getElementById('garage-panel');
+    this._colorInput     = document.getElementById('car-color-input');
+    this._controlsScreen = document.getElementById('controls-screen');
 
     this._initMenu();
     this._initGarage();
+    this._initControls();
+    this.renderControlsInfo();
   }
 
   // ============================================================
@@ -86,13 +110,66 @@ export class Menu {
   get selectedCar()    { return this._selectedColor; }
   get currentVehicle() { return this._vehicleType; }
   get activeCarId()    { return this._activeCarId; }
+  /** Seed typed on the map screen, or null for a fresh random run each time. */
+  get selectedSeed()   { return parseSeed(document.getElementById('seed-input').value); }
+  get controlsOpen()   { return this._controlsScreen.style.display === 'flex'; }
+
+  /**
+   * Show the key rebinding overlay. Reachable from the main menu and pause screen.
+   * @param {Function} [onClose] — called once the overlay is dismissed
+   */
+  openControls(onClose) {
+    this._controlsOnClose = onClose || null;
+    this._listening = null;
+    this._setControlsMessage('');
+    this._renderControls();
+    this._controlsScreen.style.display = 'flex';
+    // Capture phase so rebinding keys never reach the game's own key handler
+    window.addEventListener('keydown', this._onControlsKey, true);
+  }
+
+  closeControls() {
+    window.removeEventListener('keydown', this._onControlsKey, true);
+    this._listening = null;
+    this._controlsScreen.style.display = 'none';
+    this.renderControlsInfo();
+    const cb = this._controlsOnClose;
+    this._controlsOnClose = null;
+    if (cb) cb();
+  }
+
+  /** Regenerate the main-menu .controls-info help text from the live bindings. */
+  renderControlsInfo() {
+    const el = document.querySelector('#stage-main .controls-info');
+    if (!el) return;
+    el.innerHTML = '';
+    ACTIONS.forEach((a, i) => {
+      const keys = this.keyBindings.getKeys(a.id).filter(Boolean);
+      keys.forEach((code, k) => {
+        if (k > 0) el.appendChild(document.createTextNode(' / '));
+        const kbd = document.createElement('kbd');
+        kbd.textContent = keyLabel(code);
+        el.appendChild(kbd);
+      });
+      el.appendChild(document.createTextNode(` ${a.label}`));
+      // Two actions per line
+      el.appendChild(i % 2 === 1 ? document.createElement('br') : document.createTextNode('\u00a0 '));
+    });
+    el.appendChild(document.createTextNode('Gamepad: '));
+    for (const [btn, label] of [['LS', 'Steer'], ['RT', 'Gas'], ['LT', 'Brake'], ['A', 'Nitro'], ['Start', 'Pause']]) {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = btn;
+      el.appendChild(kbd);
+      el.appendChild(document.createTextNode(` ${label}\u00a0 `));
+    }
+  }
 
   // ============================================================
   //  STAGE NAVIGATION
   // ============================================================
 
   _showStage(id) {
-    const allStages = ['main', 'mode', 'stock', 'custom', 'map'];
+    const allStages = ['main', 'mode', 'stock', 'custom', 'map', 'replays'];
     allStages.forEach(s => {
       const el = document.getElementById(`stage-${s}`);
       if (el) el.style.display = 'none';
@@ -123,7 +200,59 @@ export class Menu {
       this._pushStage('mode');
     });
 
+    document.getElementById('btn-replays').addEventListener('click', () => {
+      this._stageHistory = ['main'];
+      this._renderReplayList();
+      this._pushStage('replays');
+    });
+
+    document.getElementById('btn-replays-back').addEventListener('click', () => {
+      this._popStage();
+    });
+
+    const importInput = document.getElementById('replay-import-input');
+    document.getElementById('btn-replay-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      file.text().then(text => {
+        let data = null;
+        try { data = validateReplay(JSON.parse(text)); } catch { data = null; }
+        if (!data) { alert('That file is not a CutUp replay.'); return; }
+        if (!isReplayCurrent(data)) { alert('That replay is from an older version of the game and would not play back.'); return; }
+        const { id: _id, savedAt: _at, ...rest } = data;
+        if (!this.saveManager.saveReplay({ ...rest, name: rest.name || file.name.replace(/\.json$/i, '') })) {
+          alert('Not enough storage to import this replay.');
+        }
+        this._renderReplayList();
+      });
+    });
+
     // ── Stage 2: Mode Select ───────────────────────────────────
+    this._renderGameModes();
+
+    const damageBtn = document.getElementById('btn-damage');
+    damageBtn.addEventListener('click', () => {
+      this._damage = !this._damage;
+      damageBtn.textContent = `DAMAGE: ${this._damage ? 'ON' : 'OFF'}`;
+      damageBtn.classList.toggle('active', this._damage);
+    });
+
+    const policeBtn = document.getElementById('btn-police');
+    policeBtn.addEventListener('click', () => {
+      this._police = !this._police;
+      policeBtn.textContent = `POLICE: ${this._police ? 'ON' : 'OFF'}`;
+      policeBtn.classList.toggle('active', this._police);
+    });
+
+    const oncomingBtn = document.getElementById('btn-oncoming');
+    oncomingBtn.addEventListener('click', () => {
+      this._oncoming = !this._oncoming;
+      oncomingBtn.textContent = `ONCOMING: ${this._oncoming ? 'ON' : 'OFF'}`;
+      oncomingBtn.classList.toggle('active', this._oncoming);
+    });
+
     document.getElementById('btn-mode-stock').addEventListener('click', () => {
       this._mode = 'stock';
       this._pushStage('stock');
@@ -136,13 +265,7 @@ export class Menu {
     });
 
     // ── Stage 3a: Stock vehicle cards ─────────────────────────
-    document.querySelectorAll('.stock-card').forEach(card => {
-      card.addEventListener('click', () => {
-        this._vehicleType = card.dataset.vehicle;
-        this._activeCarId = null;
-        this._pushStage('map');
-      });
-    });
+    this._renderStockCards();
 
     document.getElementById('btn-stock-back').addEventListener('click', () => {
       this._popStage();
@@ -197,16 +320,16 @@ export class Menu {
 
     // Vehicle cycler (only used in stock mode)
     document.getElementById('prev-vehicle').addEventListener('click', () => {
-      const idx = STOCK_VEHICLES.findIndex(v => v.type === this._vehicleType);
-      const next = (idx - 1 + STOCK_VEHICLES.length) % STOCK_VEHICLES.length;
-      this._vehicleType = STOCK_VEHICLES[next].type;
+      const idx = STOCK_TYPES.indexOf(this._vehicleType);
+      const next = (idx - 1 + STOCK_TYPES.length) % STOCK_TYPES.length;
+      this._vehicleType = STOCK_TYPES[next];
       this._syncGaragePreview();
     });
 
     document.getElementById('next-vehicle').addEventListener('click', () => {
-      const idx = STOCK_VEHICLES.findIndex(v => v.type === this._vehicleType);
-      const next = (idx + 1) % STOCK_VEHICLES.length;
-      this._vehicleType = STOCK_VEHICLES[next].type;
+      const idx = STOCK_TYPES.indexOf(this._vehicleType);
+      const next = (idx + 1) % STOCK_TYPES.length;
+      this._vehicleType = STOCK_TYPES[next];
       this._syncGaragePreview();
     });
 
@@ -221,12 +344,112 @@ export class Menu {
       });
     }
 
+    // Ghost toggle — race the personal best for this map + car
+    document.getElementById('btn-ghost').addEventListener('click', () => {
+      if (this._ghostReplay) {
+        this._ghostReplay = null;
+      } else {
+        this._ghostReplay = this.saveManager.getGhost(
+          comboKey(this._selectedTheme, this._vehicleType, this._activeCarId, this._gameMode));
+      }
+      this._syncGhostButton();
+    });
+
     // GO! — launch game
     document.getElementById('btn-go').addEventListener('click', () => {
       this._launch();
     });
   }
 
+  // ============================================================
+  //  CONTROLS (REBINDING) SCREEN
+  // ============================================================
+
+  _initControls() {
+    document.getElementById('btn-controls').addEventListener('click', () => {
+      this._startScreen.style.display = 'none';
+      this.openControls(() => { this._startScreen.style.display = 'flex'; });
+    });
+
+    document.getElementById('btn-controls-reset').addEventListener('click', () => {
+      this.keyBindings.resetDefaults();
+      this._listening = null;
+      this._setControlsMessage('Defaults restored');
+      this._renderControls();
+    });
+
+    document.getElementById('btn-controls-done').addEventListener('click', () => {
+      this.closeControls();
+    });
+  }
+
+  _renderControls() {
+    const list = document.getElementById('controls-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    for (const a of ACTIONS) {
+      const row = document.createElement('div');
+      row.className = 'controls-row';
+
+      const label = document.createElement('span');
+      label.className = 'controls-action';
+      label.textContent = a.label;
+      row.appendChild(label);
+
+      this.keyBindings.getKeys(a.id).forEach((code, slot) => {
+        const btn = document.createElement('button');
+        btn.className = 'controls-key';
+        const listening = this._listening
+          && this._listening.action === a.id && this._listening.slot === slot;
+        if (listening) btn.classList.add('listening');
+        btn.textContent = listening ? 'PRESS KEY…' : keyLabel(code);
+        btn.addEventListener('click', () => {
+          this._listening = { action: a.id, slot };
+          this._setControlsMessage('Press a key · Del to clear · Esc to cancel');
+          this._renderControls();
+        });
+        row.appendChild(btn);
+      });
+
+      list.appendChild(row);
+    }
+  }
+
+  _handleControlsKey(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!this._listening) {
+      if (e.code === 'Escape') this.closeControls();
+      return;
+    }
+
+    const { action, slot } = this._listening;
+    this._listening = null;
+
+    if (e.code === 'Escape') {
+      this._setControlsMessage('');
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+      this.keyBindings.clear(action, slot);
+      this._setControlsMessage('');
+    } else {
+      const conflict = this.keyBindings.rebind(action, slot, e.code);
+      if (conflict) {
+        const other = ACTIONS.find(a => a.id === conflict);
+        this._setControlsMessage(`${keyLabel(e.code)} was bound to ${other.label} — swapped`);
+      } else {
+        this._setControlsMessage('');
+      }
+    }
+    this._renderControls();
+  }
+
+  _setControlsMessage(text) {
+    const el = document.getElementById('controls-message');
+    if (el) el.textContent = text;
+  }
+
   // ============================================================
   //  ENTER GARAGE
   // ============================================================
@@ -239,7 +462,11 @@ export class Menu {
 
     // Garage map badge
     document.getElementById('garage-map-label').textContent =
-      `MAP: ${(THEME_LABELS[this._selectedTheme] || this._selectedTheme).toUpperCase()}`;
+      `MAP: ${(THEME_LABELS[this._selectedTheme] || this._selectedTheme).toUpperCase()}`
+      + ` · ${getMode(this._gameMode).name.toUpperCase()}`
+      + (this._damage ? ' · DAMAGE' : '')
+      + (this._police ? ' · POLICE' : '')
+      + (this._oncoming ? ' · ONCOMING' : '');
 
     // Mode-specific garage layout
     const cyclerRow = document.getElementById('garage-cycler-row');
@@ -253,6 +480,10 @@ export class Menu {
       if (editorBtn) editorBtn.style.display = 'none';
     }
 
+    // Ghost starts off each visit
+    this._ghostReplay = null;
+    this._syncGhostButton();
+
     // Hide start screen, show garage
     this._startScreen.style.display = 'none';
     this._garagePanel.classList.add('visible');
@@ -261,12 +492,25 @@ export class Menu {
     this._syncGaragePreview();
   }
 
+  _syncGhostButton() {
+    const btn = document.getElementById('btn-ghost');
+    if (!btn) return;
+    const pb = this.saveManager.getGhost(
+      comboKey(this._selectedTheme, this._vehicleType, this._activeCarId, this._gameMode));
+    const hasPb = isReplayCurrent(pb);
+    btn.disabled = !hasPb;
+    btn.textContent = !pb ? 'GHOST: NO PB YET'
+      : !hasPb ? 'GHOST: PB OUTDATED'
+      : this._ghostReplay ? 'GHOST: PB ✓' : 'GHOST: OFF';
+    btn.classList.toggle('active', !!this._ghostReplay);
+  }
+
   _syncGaragePreview() {
     const label = document.getElementById('vehicle-name-label');
     if (label) {
       if (this._mode === 'stock') {
-        const v = STOCK_VEHICLES.find(v => v.type === this._vehicleType);
-        label.textContent = v ? v.name : 'Sports Car';
+        const v = STOCK_VEHICLES[this._vehicleType];
+        label.textContent = v ? v.name : STOCK_VEHICLES.sports.name;
       } else {
         const car = this._activeCarId
           ? this.saveManager.getCar(this._activeCarId)
@@ -281,6 +525,37 @@ export class Menu {
     }
   }
 
+  /** Garage stat bars for the car being previewed (main.js computes the stats). */
+  showStats(stats) {
+    const el = document.getElementById('garage-stats');
+    if (!el) return;
+    el.innerHTML = '';
+    for (const bar of STAT_BARS) {
+      const value = stats[bar.key];
+      const pct   = Math.max(0, Math.min(1, (value - bar.min) / (bar.max - bar.min)));
+
+      const row = document.createElement('div');
+      row.className = 'stat-row';
+      const label = document.createElement('span');
+      label.className = 'stat-label';
+      label.textContent = bar.label;
+      const bg = document.createElement('div');
+      bg.className = 'stat-bar-bg';
+      const fill = document.createElement('div');
+      fill.className = 'stat-bar-fill';
+      fill.style.width = `${Math.round(4 + pct * 96)}%`;
+      bg.appendChild(fill);
+      const num = document.createElement('span');
+      num.className = 'stat-value';
+      num.textContent = Math.round(value);
+
+      row.appendChild(label);
+      row.appendChild(bg);
+      row.appendChild(num);
+      el.appendChild(row);
+    }
+  }
+
   _launch() {
     this._garagePanel.classList.remove('visible');
     this._onStart(
@@ -288,9 +563,76 @@ export class Menu {
       this._selectedColor,
       this._vehicleType,
       this._activeCarId,
+      this.selectedSeed,
+      this._ghostReplay,
+      this._gameMode,
+      this._damage,
+      this._police,
+      this._oncoming,
     );
   }
 
+  // ============================================================
+  //  STOCK VEHICLE CARDS
+  // ============================================================
+
+  _renderStockCards() {
+    const grid = document.querySelector('#stage-stock .stock-cards');
+    grid.innerHTML = '';
+    for (const type of STOCK_TYPES) {
+      const v = STOCK_VEHICLES[type];
+      const card = document.createElement('button');
+      card.className = 'stock-card pixel-btn';
+      card.dataset.vehicle = type;
+
+      for (const [cls, text] of [['stock-icon', v.icon], ['stock-name', v.name], ['stock-desc', v.desc]]) {
+        const span = document.createElement('span');
+        span.className = cls;
+        span.textContent = text;
+        card.appendChild(span);
+      }
+
+      card.addEventListener('click', () => {
+        this._vehicleType = type;
+        this._activeCarId = null;
+        this._pushStage('map');
+      });
+      grid.appendChild(card);
+    }
+  }
+
+  // ============================================================
+  //  GAME MODE SELECTOR
+  // ============================================================
+
+  _renderGameModes() {
+    const row = document.getElementById('game-mode-row');
+    row.innerHTML = '';
+    for (const [id, mode] of Object.entries(GAME_MODES)) {
+      const btn = document.createElement('button');
+      btn.className = 'game-mode-btn';
+      btn.dataset.gameMode = id;
+      btn.classList.toggle('active', id === this._gameMode);
+
+      const name = document.createElement('span');
+      name.className = 'game-mode-name';
+      name.textContent = mode.name.toUpperCase();
+      const desc = document.createElement('span');
+      desc.className = 'game-mode-desc';
+      desc.textContent = mode.desc;
+      btn.appendChild(name);
+      btn.appendChild(desc);
+
+      btn.addEventListener('click', () => {
+        this._gameMode = id;
+        row.querySelectorAll('.game-mode-btn').forEach(b => {
+          b.classList.toggle('active', b.dataset.gameMode === id);
+        });
+      });
+      row.appendChild(btn);
+    }
+  }
+
   // ============================================================
   //  CUSTOM CAR GALLERY
   // ============================================================
@@ -314,6 +656,102 @@ export class Menu {
     }
   }
 
+  // ============================================================
+  //  SAVED REPLAYS
+  // ============================================================
+
+  _renderReplayList() {
+    const grid     = document.getElementById('replay-grid');
+    const emptyMsg = document.getElementById('replay-empty-hint');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    const replays = this.saveManager.getAllReplays();
+
+    if (emptyMsg) emptyMsg.style.display = replays.length === 0 ? 'block' : 'none';
+
+    for (const rp of [...replays].reverse()) {
+      grid.appendChild(this._makeReplayCard(rp));
+    }
+  }
+
+  _makeReplayCard(rp) {
+    const card = document.createElement('div');
+    card.className = 'build-card';
+
+    const info = document.createElement('div');
+    info.className = 'build-card-info';
+
+    const nameEl = document.createElement('span');
+    nameEl.className = 'build-card-name';
+    nameEl.textContent = rp.name || 'Replay';
+
+    const metaEl = document.createElement('span');
+    metaEl.className = 'build-card-meta';
+    const map  = (THEME_LABELS[rp.theme] || rp.theme || '').toUpperCase();
+    const mode = getMode(rp.mode).name.toUpperCase();
+    const current = isReplayCurrent(rp);
+    metaEl.textContent = `${rp.score} pts · ${map} · ${mode} · ${_dateLabel(rp.savedAt)}`
+      + (current ? '' : ' · OUTDATED');
+
+    info.appendChild(nameEl);
+    info.appendChild(metaEl);
+
+    const actions = document.createElement('div');
+    actions.className = 'build-card-actions';
+
+    const watchBtn = document.createElement('button');
+    watchBtn.className = 'build-card-btn play';
+    watchBtn.textContent = '▶ WATCH';
+    watchBtn.disabled = !current;   // recorded by an older simulation — would desync
+    watchBtn.addEventListener('click', () => {
+      this._startScreen.style.display = 'none';
+      if (this.onReplayOpen) this.onReplayOpen(rp.id);
+    });
+
+    // [Race] — only replays with a position track can be raced as a ghost
+    const raceBtn = document.createElement('button');
+    raceBtn.className = 'build-card-btn edit';
+    raceBtn.textContent = '👻 RACE';
+    raceBtn.disabled = !current || !(rp.track && rp.track.length);
+    raceBtn.addEventListener('click', () => {
+      this._startScreen.style.display = 'none';
+      if (this.onGhostRace) this.onGhostRace(rp.id);
+    });
+
+    // [Export] — download as JSON to share with friends
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'build-card-btn edit';
+    exportBtn.textContent = '⇩ FILE';
+    exportBtn.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(rp)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `${(rp.name || 'replay').replace(/[^\w-]+/g, '_')}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    });
+
+    const delBtn = document.createElement('button');
+    delBtn.className = 'build-card-btn delete';
+    delBtn.textContent = '✕ DEL';
+    delBtn.addEventListener('click', () => {
+      if (confirm(`Delete "${rp.name || 'this replay'}"?`)) {
+        this.saveManager.deleteReplay(rp.id);
+        this._renderReplayList();
+      }
+    });
+
+    actions.appendChild(watchBtn);
+    actions.appendChild(raceBtn);
+    actions.appendChild(exportBtn);
+    actions.appendChild(delBtn);
+
+    card.appendChild(info);
+    card.appendChild(actions);
+    return card;
+  }
+
   _makeCarCard(car) {
     const card = document.createElement('div');
     card.className = 'build-card';
@@ -381,6 +819,8 @@ export class Menu {
     delBtn.addEventListener('click', () => {
       if (confirm(`Delete "${car.name || 'this build'}"?`)) {
         this.saveManager.deleteCar(car.id);
+        this.runHistory.deleteRunsForCar(car.id);
+        this.saveManager.deleteGhostsForCar(car.id);
         if (this._activeCarId === car.id) this._activeCarId = null;
         this._renderCustomGallery();
       }
@@ -0,0 +1,46 @@
+// Random.js — Seedable PRNG for deterministic runs
+// World and TrafficManager take an rng() in place of Math.random(), so a given
+// seed always produces the same traffic and scenery.
+
+/**
+ * mulberry32 — tiny, fast, good-enough 32-bit generator.
+ * @param {number} seed — any integer (coerced to uint32)
+ * @returns {() => number} uniform float in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn user input into a uint32 seed. Plain integers are used as-is so a
+ * seed shown on screen can be typed back in; anything else is hashed (FNV-1a).
+ * @param {string|number} value
+ * @returns {number|null} null for empty input
+ */
+export function parseSeed(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function randomSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
+
+/** Independent stream for one subsystem, so e.g. cosmetic weather draws never shift traffic. */
+export function deriveRng(seed, salt) {
+  return createRng((seed ^ Math.imul(salt, 0x9E3779B1)) >>> 0);
+}
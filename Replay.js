@@ -0,0 +1,172 @@
+// Replay.js — Per-tick input recording for deterministic replays
+// A replay is just the run seed + vehicle/map + the input fed to every fixed
+// simulation tick. Re-running the simulation with the same seed and inputs
+// reproduces the run exactly, so the replay viewer never needs positions.
+//
+// Inputs are run-length encoded: [[count, flags, moveDirQ], ...]
+// A coarse position track is kept as well so a replay can be raced as a
+// ghost without re-simulating its traffic: [[x, z], ...] every N ticks.
+
+import { sanitiseBuild } from './SaveManager.js';
+
+// Bump whenever a simulation change (physics, traffic, road, modes) means an
+// older recording would no longer play back the same. Last bumped for the
+// oncoming traffic, police and per-vehicle changes.
+export const REPLAY_VERSION = 3;
+export const GHOST_SAMPLE_TICKS = 3;
+
+const F_GAS   = 1;
+const F_BRAKE = 2;
+const F_NITRO = 4;
+const F_LEFT  = 8;
+const F_RIGHT = 16;
+const F_ALL   = F_GAS | F_BRAKE | F_NITRO | F_LEFT | F_RIGHT;
+
+const MOVE_STEPS = 256;   // analog steering is quantized to 1/256
+const MAX_TICKS  = 60 * 60 * 60 * 2;   // two hours at 60 Hz — far past any real run
+
+/**
+ * Snap an input to what a replay can store. The live run must feed the
+ * *quantized* input to the simulation too, or replays would drift.
+ */
+export function quantizeInput(input) {
+  const q = Math.round(Math.max(-1, Math.min(1, input.moveDir || 0)) * MOVE_STEPS);
+  return {
+    gas:     !!input.gas,
+    brake:   !!input.brake,
+    nitro:   !!input.nitro,
+    left:    !!input.left,
+    right:   !!input.right,
+    moveDir: q / MOVE_STEPS,
+  };
+}
+
+function _pack(input) {
+  return (input.gas ? F_GAS : 0) | (input.brake ? F_BRAKE : 0) | (input.nitro ? F_NITRO : 0)
+    | (input.left ? F_LEFT : 0) | (input.right ? F_RIGHT : 0);
+}
+
+function _unpack(flags, moveQ) {
+  return {
+    gas:     !!(flags & F_GAS),
+    brake:   !!(flags & F_BRAKE),
+    nitro:   !!(flags & F_NITRO),
+    left:    !!(flags & F_LEFT),
+    right:   !!(flags & F_RIGHT),
+    moveDir: moveQ / MOVE_STEPS,
+  };
+}
+
+/**
+ * Expand RLE inputs into one (shared, read-only) input object per tick.
+ * Never expands past MAX_TICKS, whatever the counts claim.
+ */
+export function decodeInputs(rle) {
+  const out = [];
+  for (const [count, flags, moveQ] of rle || []) {
+    const input = _unpack(flags, moveQ);
+    const n = Math.min(count, MAX_TICKS - out.length);
+    for (let i = 0; i < n; i++) out.push(input);
+  }
+  return out;
+}
+
+export class ReplayRecorder {
+  /**
+   * @param {object} meta — { seed, simDt, theme, vehicleType, carId, color, build, … }
+   *   build — custom car parts the run was driven with (null for stock cars)
+   */
+  constructor(meta) {
+    this.meta  = { ...meta };
+    this.ticks = 0;
+    this._rle  = [];
+    this._track = [];
+  }
+
+  /** Record one tick of (already quantized) input. */
+  push(input) {
+    const flags = _pack(input);
+    const moveQ = Math.round(input.moveDir * MOVE_STEPS);
+    const last  = this._rle[this._rle.length - 1];
+    if (last && last[1] === flags && last[2] === moveQ) {
+      last[0]++;
+    } else {
+      this._rle.push([1, flags, moveQ]);
+    }
+    this.ticks++;
+  }
+
+  /**
+   * Record the player's position after the latest tick (call once before the
+   * first tick too). Only every Nth tick is kept: track[i] is tick i·N.
+   */
+  sample(x, z) {
+    if (this.ticks % GHOST_SAMPLE_TICKS !== 0) return;
+    this._track.push([Math.round(x * 100) / 100, Math.round(z * 100) / 100]);
+  }
+
+  /**
+   * Snapshot the recording as a plain, JSON-safe replay object.
+   * @param {object} [result] — { score, distance } shown in replay lists
+   */
+  finish(result) {
+    return {
+      version: REPLAY_VERSION,
+      ...this.meta,
+      ticks:    this.ticks,
+      inputs:   this._rle.map(r => [...r]),
+      track:    this._track.map(p => [...p]),
+      score:    Math.floor(result?.score    || 0),
+      distance: Math.floor(result?.distance || 0),
+      recordedAt: Date.now(),
+    };
+  }
+}
+
+/** Whether a replay was recorded by this version of the simulation — older ones desync. */
+export function isReplayCurrent(data) {
+  return !!data && data.version === REPLAY_VERSION;
+}
+
+/**
+ * Ghost position at a (fractional) tick, or null when the replay has no track.
+ * Past the end of the track the ghost parks at its final position.
+ * @returns {{ x: number, z: number, finished: boolean }|null}
+ */
+export function ghostPositionAt(track, tick) {
+  if (!track || track.length === 0) return null;
+  const f = tick / GHOST_SAMPLE_TICKS;
+  const i = Math.floor(f);
+  if (i >= track.length - 1) {
+    const last = track[track.length - 1];
+    return { x: last[0], z: last[1], finished: f > track.length - 1 };
+  }
+  if (i < 0) return { x: track[0][0], z: track[0][1], finished: false };
+  const a = track[i], b = track[i + 1], t = f - i;
+  return { x: a[0] + (b[0] - a[0]) * t, z: a[1] + (b[1] - a[1]) * t, finished: false };
+}
+
+const isRun = r => Array.isArray(r) && r.length === 3
+  && Number.isInteger(r[0]) && r[0] >= 1
+  && Number.isInteger(r[1]) && (r[1] & ~F_ALL) === 0
+  && Number.isInteger(r[2]) && Math.abs(r[2]) <= MOVE_STEPS;
+
+const isPoint = p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+
+/** Validation for replays loaded from a file. Returns null if unusable. */
+export function validateReplay(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (!Array.isArray(data.inputs) || !Number.isFinite(+data.seed)) return null;
+  if (!data.inputs.every(isRun)) return null;
+  const ticks = data.inputs.reduce((n, r) => n + r[0], 0);
+  if (ticks > MAX_TICKS) return null;
+  const track = data.track ?? [];
+  if (!Array.isArray(track) || !track.every(isPoint)) return null;
+  return {
+    ...data,
+    seed:  data.seed >>> 0,
+    build: sanitiseBuild(data.build),
+    ticks,
+    track: track.slice(0, Math.floor(ticks / GHOST_SAMPLE_TICKS) + 1),
+  };
+}
@@ -0,0 +1,159 @@
+// RoadPath.js — Procedural centreline the highway bends along
+// The simulation never sees the bends: player, traffic, collisions and replays
+// all work in road space, where z is distance along the road and x is the
+// lateral offset from the centreline (laneToX). RoadPath maps road space into
+// world space for rendering — World bakes segment geometry with it, and
+// main.js bends the cars onto it just before each render (bend / unbend).
+
+import * as THREE from 'three';
+import { createRng } from './Random.js';
+
+const STRAIGHT_START  = 4;               // flat straight segments at the start line
+const BEND_SPAN       = 8;               // segments between new curve/grade targets
+const STRAIGHT_CHANCE = 0.3;             // odds a new target is a straight
+const MAX_CURVATURE   = 1 / 700;         // rad per m — tightest bend ≈ 700 m radius
+const CURVE_EASE      = MAX_CURVATURE / 4;   // max curvature change per segment
+const MAX_GRADE       = 0.05;            // 5 % climb / descent
+const GRADE_EASE      = 0.01;            // max grade change per segment
+const SEA_LEVEL_PULL  = 1 / 2000;        // grade bias back toward y = 0, per m of height
+
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+function approach(value, target, step) {
+  return value + THREE.MathUtils.clamp(target - value, -step, step);
+}
+
+export class RoadPath {
+  /** @param {number} segmentLen — World's SEGMENT_LEN; one path node per segment */
+  constructor(segmentLen) {
+    this.segmentLen = segmentLen;
+    this._seed  = null;          // null = Math.random (menu demo)
+    this._rng   = Math.random;
+    this._nodes = [];
+    this._bent  = [];            // objects moved by bend(), restored by unbend()
+    this._frame = { x: 0, y: 0, z: 0, heading: 0, slope: 0 };
+    this.reset();
+  }
+
+  /** Seed the bends (null = Math.random). Takes effect on the next reset(). */
+  setSeed(seed) {
+    this._seed = seed;
+  }
+
+  reset() {
+    this._rng = this._seed === null ? Math.random : createRng(this._seed);
+    this._nodes = [{ x: 0, y: 0, z: 0, heading: 0, slope: 0, curv: 0, targetCurv: 0, targetSlope: 0 }];
+  }
+
+  // ---- Generation — node k is the road's state at road z = k * segmentLen ----
+  _ensure(k) {
+    while (this._nodes.length <= k) {
+      this._nodes.push(this._next(this._nodes[this._nodes.length - 1]));
+    }
+  }
+
+  _next(n) {
+    const k = this._nodes.length;
+    const L = this.segmentLen;
+
+    let { targetCurv, targetSlope } = n;
+    if (k >= STRAIGHT_START && (k - STRAIGHT_START) % BEND_SPAN === 0) {
+      const straight = this._rng() < STRAIGHT_CHANCE;
+      const curve    = (this._rng() * 2 - 1) * MAX_CURVATURE;
+      const grade    = (this._rng() * 2 - 1) * MAX_GRADE;
+      targetCurv  = straight ? 0 : curve;
+      targetSlope = THREE.MathUtils.clamp(grade - n.y * SEA_LEVEL_PULL, -MAX_GRADE, MAX_GRADE);
+    }
+
+    // End of the previous segment: constant-curvature arc, grade eased linearly
+    const end   = this._along(n, L, {});
+    const slope = approach(n.slope, targetSlope, GRADE_EASE);
+    return {
+      x: end.x,
+      y: n.y + (n.slope + slope) / 2 * L,
+      z: end.z,
+      heading: end.heading,
+      slope,
+      curv: approach(n.curv, targetCurv, CURVE_EASE),
+      targetCurv,
+      targetSlope,
+    };
+  }
+
+  /** Centreline x/z and heading `u` metres past node `n`. */
+  _along(n, u, out) {
+    out.heading = n.heading + n.curv * u;
+    if (Math.abs(n.curv) < 1e-9) {
+      out.x = n.x + Math.sin(n.heading) * u;
+      out.z = n.z + Math.cos(n.heading) * u;
+    } else {
+      out.x = n.x + (Math.cos(n.heading) - Math.cos(out.heading)) / n.curv;
+      out.z = n.z + (Math.sin(out.heading) - Math.sin(n.heading)) / n.curv;
+    }
+    return out;
+  }
+
+  // ---- Queries ----
+
+  /**
+   * Centreline position, heading (rad, 0 = +Z) and grade at road distance z.
+   * Returns a shared object — copy what you need before the next call.
+   */
+  frameAt(z) {
+    const f = this._frame;
+    if (z <= 0) {
+      // Behind the start line the road runs straight and flat
+      f.x = 0; f.y = 0; f.z = z; f.heading = 0; f.slope = 0;
+      return f;
+    }
+    const L = this.segmentLen;
+    const k = Math.floor(z / L);
+    this._ensure(k + 1);
+    const n = this._nodes[k], next = this._nodes[k + 1];
+    const u = z - k * L;
+
+    this._along(n, u, f);
+    f.slope = n.slope + (next.slope - n.slope) * (u / L);
+    f.y     = n.y + n.slope * u + (next.slope - n.slope) * u * u / (2 * L);
+    return f;
+  }
+
+  /** Road-space point (lateral x, height y, distance z) → world position. */
+  toWorld(x, y, z, out = new THREE.Vector3()) {
+    const f = this.frameAt(z);
+    return out.set(
+      f.x + Math.cos(f.heading) * x,
+      f.y + y,
+      f.z - Math.sin(f.heading) * x
+    );
+  }
+
+  /** World orientation of the road surface at distance z (yaw, then pitch). */
+  orientationAt(z, out = new THREE.Quaternion()) {
+    const f = this.frameAt(z);
+    _euler.set(-Math.atan(f.slope), f.heading, 0, 'YXZ');
+    return out.setFromEuler(_euler);
+  }
+
+  // ---- Render-time bending of road-space objects ----
+
+  /** Move a road-space object onto the road for this frame; unbend() puts it back. */
+  bend(obj) {
+    const p = obj.position, r = obj.rotation;
+    this._bent.push({ obj, x: p.x, y: p.y, z: p.z, rx: r.x, ry: r.y, rz: r.z, order: r.order });
+
+    const f = this.frameAt(p.z);
+    const heading = f.heading, pitch = -Math.atan(f.slope);
+    this.toWorld(p.x, p.y, p.z, p);
+    r.set(r.x + pitch, r.y + heading, r.z, 'YXZ');
+  }
+
+  unbend() {
+    for (let i = this._bent.length - 1; i >= 0; i--) {
+      const b = this._bent[i];
+      b.obj.position.set(b.x, b.y, b.z);
+      b.obj.rotation.set(b.rx, b.ry, b.rz, b.order);
+    }
+    this._bent.length = 0;
+  }
+}
@@ -0,0 +1,140 @@
+// RunHistory.js — Persistent per-run history + personal bests
+// Stores every finished run under a single localStorage key, newest last.
+// Personal bests are derived per map + car + mode combo (theme × vehicle/carId × mode).
+
+const STORAGE_KEY = 'racing_run_history';
+const MAX_RUNS    = 200;   // oldest runs are dropped past this
+
+// Stats tracked as personal bests — all "higher is better"
+const BEST_FIELDS = ['score', 'distance', 'topSpeed', 'bestCombo'];
+// "Lower is better" — only counted when set (e.g. time for finished Time Attack runs)
+const LOW_FIELDS  = ['time'];
+
+function _uid() {
+  return `run_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Combo key: custom builds are keyed by save ID, stock cars by vehicle type.
+ * Endless keeps the original two-part key so runs saved before modes still count.
+ */
+export function comboKey(theme, vehicleType, carId, mode) {
+  const base = `${theme || 'day'}|${carId || vehicleType || 'sports'}`;
+  return mode && mode !== 'endless' ? `${base}|${mode}` : base;
+}
+
+export class RunHistory {
+  // ============================================================
+  //  INTERNAL I/O
+  // ============================================================
+
+  _read() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const arr = JSON.parse(raw || '[]');
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _write(arr) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(arr.slice(-MAX_RUNS)));
+  }
+
+  // ============================================================
+  //  RECORD — append a finished run, return it with record flags
+  // ============================================================
+
+  /**
+   * @param {object} data — { score, distance, topSpeed, bestCombo, time, theme, vehicleType, carId, mode }
+   *   time — seconds to finish a timed mode; omit/null when the run didn't finish
+   * @returns {{ run: object, bests: object, newRecords: string[] }}
+   *   bests      — personal bests for this combo *including* the new run
+   *   newRecords — fields this run beat (empty on a combo's first run)
+   */
+  recordRun(data) {
+    const run = {
+      id:          _uid(),
+      score:       Math.floor(+data.score     || 0),
+      distance:    Math.floor(+data.distance  || 0),
+      topSpeed:    Math.floor(+data.topSpeed  || 0),
+      bestCombo:   Math.floor(+data.bestCombo || 0),
+      time:        +data.time > 0 ? Math.round(data.time * 100) / 100 : null,
+      theme:       data.theme       || 'day',
+      vehicleType: data.vehicleType || 'sports',
+      carId:       data.carId       || null,
+      mode:        data.mode        || 'endless',
+      timestamp:   Date.now(),
+    };
+
+    const arr  = this._read();
+    const prev = this._bestsFrom(arr, run.theme, run.vehicleType, run.carId, run.mode);
+
+    const newRecords = [];
+    if (prev) {
+      for (const f of BEST_FIELDS) {
+        if (run[f] > prev[f]) newRecords.push(f);
+      }
+      for (const f of LOW_FIELDS) {
+        if (run[f] !== null && (prev[f] === null || run[f] < prev[f])) newRecords.push(f);
+      }
+    }
+
+    arr.push(run);
+    this._write(arr);
+
+    return {
+      run,
+      bests: this._bestsFrom(arr, run.theme, run.vehicleType, run.carId, run.mode),
+      newRecords,
+    };
+  }
+
+  // ============================================================
+  //  READ
+  // ============================================================
+
+  getAllRuns() {
+    return this._read();
+  }
+
+  getRunsFor(theme, vehicleType, carId, mode) {
+    const key = comboKey(theme, vehicleType, carId, mode);
+    return this._read().filter(r => comboKey(r.theme, r.vehicleType, r.carId, r.mode) === key);
+  }
+
+  /** Personal bests for a map + car + mode combo, or null if it has never been run. */
+  getBests(theme, vehicleType, carId, mode) {
+    return this._bestsFrom(this._read(), theme, vehicleType, carId, mode);
+  }
+
+  _bestsFrom(arr, theme, vehicleType, carId, mode) {
+    const key  = comboKey(theme, vehicleType, carId, mode);
+    let bests  = null;
+    for (const r of arr) {
+      if (comboKey(r.theme, r.vehicleType, r.carId, r.mode) !== key) continue;
+      if (!bests) bests = { runs: 0, score: 0, distance: 0, topSpeed: 0, bestCombo: 0, time: null };
+      bests.runs++;
+      for (const f of BEST_FIELDS) bests[f] = Math.max(bests[f], r[f] || 0);
+      for (const f of LOW_FIELDS) {
+        if (r[f] > 0 && (bests[f] === null || r[f] < bests[f])) bests[f] = r[f];
+      }
+    }
+    return bests;
+  }
+
+  // ============================================================
+  //  DELETE
+  // ============================================================
+
+  /** Drop history for a deleted custom build so stale bests don't linger. */
+  deleteRunsForCar(carId) {
+    if (!carId) return;
+    this._write(this._read().filter(r => r.carId !== carId));
+  }
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
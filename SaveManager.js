@@ -4,6 +4,8 @@
 
 const STORAGE_KEY = 'racing_custom_cars';
 const ACTIVE_KEY  = 'racing_active_car_id';
+const REPLAY_KEY  = 'racing_replays';
+const GHOST_KEY   = 'racing_ghosts';
 
 function _uid() {
   return `car_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
@@ -23,6 +25,15 @@ function _sanitiseParts(parts) {
   }));
 }
 
+/** A replay's recorded custom build ({ parts, mainColor }), cleaned up; null if it isn't one. */
+export function sanitiseBuild(build) {
+  if (!build || typeof build !== 'object' || !Array.isArray(build.parts)) return null;
+  return {
+    parts:     _sanitiseParts(build.parts),
+    mainColor: typeof build.mainColor === 'string' ? build.mainColor : '#33cc55',
+  };
+}
+
 export class SaveManager {
   // ============================================================
   //  INTERNAL I/O
@@ -131,6 +142,88 @@ export class SaveManager {
     return id ? this.getCar(id) : null;
   }
 
+  // ============================================================
+  //  REPLAYS — saved alongside builds under their own key
+  //  Replays can be large, so a full quota returns null instead of throwing.
+  // ============================================================
+
+  _readReplays() {
+    try {
+      const arr = JSON.parse(localStorage.getItem(REPLAY_KEY) || '[]');
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveReplay(replay) {
+    const arr = this._readReplays();
+    const entry = {
+      ...replay,
+      build:   sanitiseBuild(replay.build),
+      id:      `replay_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      name:    replay.name || `Replay ${arr.length + 1}`,
+      savedAt: Date.now(),
+    };
+    arr.push(entry);
+    try {
+      localStorage.setItem(REPLAY_KEY, JSON.stringify(arr));
+    } catch {
+      return null;
+    }
+    return entry.id;
+  }
+
+  getReplay(id) {
+    return this._readReplays().find(r => r.id === id) ?? null;
+  }
+
+  getAllReplays() {
+    return this._readReplays();
+  }
+
+  deleteReplay(id) {
+    const arr = this._readReplays().filter(r => r.id !== id);
+    localStorage.setItem(REPLAY_KEY, JSON.stringify(arr));
+  }
+
+  // ============================================================
+  //  PERSONAL-BEST GHOSTS — one replay per map + car combo key
+  // ============================================================
+
+  _readGhosts() {
+    try {
+      const obj = JSON.parse(localStorage.getItem(GHOST_KEY) || '{}');
+      return (obj && typeof obj === 'object' && !Array.isArray(obj)) ? obj : {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveGhost(key, replay) {
+    const obj = this._readGhosts();
+    obj[key] = replay;
+    try {
+      localStorage.setItem(GHOST_KEY, JSON.stringify(obj));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getGhost(key) {
+    return this._readGhosts()[key] ?? null;
+  }
+
+  deleteGhostsForCar(carId) {
+    if (!carId) return;
+    const obj = this._readGhosts();
+    for (const k of Object.keys(obj)) {
+      if (obj[k].carId === carId) delete obj[k];
+    }
+    localStorage.setItem(GHOST_KEY, JSON.stringify(obj));
+  }
+
   // ============================================================
   //  LEGACY COMPAT — old Menu.js called these; kept to avoid crashes
   // ============================================================
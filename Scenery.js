@@ -0,0 +1,243 @@
+// Scenery.js — Themed roadside props, laid out with World's segment pool
+// Each road segment has four scenery groups (two sides × two halves); when
+// World places a segment, every group picks a biome and lays out that
+// biome's kit. Every prop is one InstancedMesh per part shared by the whole
+// pool, so the roadside costs a dozen draw calls however busy it is.
+// Purely cosmetic: placement comes from a per-segment seeded stream, never
+// from the simulation's rng.
+
+import * as THREE from 'three';
+import { createRng } from './Random.js';
+
+const GROUP_HALVES = 2;
+const GROUPS = 2 * GROUP_HALVES;   // per segment: (left, right) × (near half, far half)
+
+// ---- Shared geometry — origins at ground level ----
+const pineTrunkGeo = new THREE.CylinderGeometry(0.25, 0.3, 1.6, 6).translate(0, 0.8, 0);
+const pineTopGeo   = new THREE.ConeGeometry(1.6, 4.2, 7).translate(0, 3.6, 0);
+const bankGeo      = new THREE.SphereGeometry(1, 8, 6);
+const cactusGeo    = new THREE.CylinderGeometry(0.35, 0.4, 3.2, 7).translate(0, 1.6, 0);
+const cactusArmGeo = new THREE.BoxGeometry(1.8, 0.4, 0.4).translate(0, 1.8, 0);
+const mesaGeo      = new THREE.CylinderGeometry(1, 1.25, 1, 7).translate(0, 0.5, 0);
+const blockGeo     = new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0);
+const bushGeo      = new THREE.SphereGeometry(1, 7, 5).translate(0, 0.6, 0);
+const puddleGeo    = new THREE.CircleGeometry(1, 12).rotateX(-Math.PI / 2).translate(0, 0.025, 0);
+const streakGeo    = new THREE.PlaneGeometry(1.6, 9).rotateX(-Math.PI / 2).translate(0, 0.03, 0);
+
+// ---- Materials ----
+const trunkMat  = new THREE.MeshToonMaterial({ color: 0x5a3d24 });
+const pineMat   = new THREE.MeshToonMaterial({ color: 0x2f5d3a });
+const bankMat   = new THREE.MeshToonMaterial({ color: 0xf4f8ff });
+const cactusMat = new THREE.MeshToonMaterial({ color: 0x3f7f3a });
+const mesaMat   = new THREE.MeshToonMaterial({ color: 0xb5653a });
+const blockMat  = new THREE.MeshToonMaterial({ color: 0xffffff });   // tinted per instance
+const bushMat   = new THREE.MeshToonMaterial({ color: 0x2e4a3a });
+const puddleMat = new THREE.MeshBasicMaterial({
+  color: 0x8a9aac, transparent: true, opacity: 0.35, depthWrite: false,
+});
+// Wet-road reflection of each lamp — brightens as it gets dark (map set by the constructor)
+const streakMat = new THREE.MeshBasicMaterial({
+  color: 0xffcc88, transparent: true, opacity: 0.2,
+  blending: THREE.AdditiveBlending, depthWrite: false,
+});
+
+const BLOCK_COLORS = [0x8a8f99, 0xb7a98f, 0x6f7785, 0xa39c94, 0x5d6470, 0xc2b8a3];
+
+const rand = (rng, min, max) => min + rng() * (max - min);
+
+// ============================================================
+//  BIOME KITS
+//  Each prop: parts ([geometry, material]), count per group, and
+//  place(rng, half, shoulder) → { out, dz, sx, sy, sz, rot, color } or null to skip.
+//    out — metres outside the barrier (negative = back onto the tarmac)
+//    dz  — metres into the group's half-segment
+// ============================================================
+const BIOMES = {
+  snow: [
+    {
+      parts: [[pineTrunkGeo, trunkMat], [pineTopGeo, pineMat]], count: 3, shadow: true,
+      place: rng => {
+        const s = rand(rng, 0.8, 1.6);
+        return { out: rand(rng, 3, 25), dz: rng() * 30, sx: s, sy: s, sz: s, rot: rng() * Math.PI * 2 };
+      },
+    },
+    {
+      parts: [[bankGeo, bankMat]], count: 2,
+      place: rng => ({
+        out: rand(rng, 0.5, 4), dz: rng() * 30,
+        sx: rand(rng, 3, 6), sy: rand(rng, 0.8, 1.4), sz: rand(rng, 4, 8), rot: rng() * Math.PI,
+      }),
+    },
+  ],
+  desert: [
+    {
+      parts: [[cactusGeo, cactusMat], [cactusArmGeo, cactusMat]], count: 2, shadow: true,
+      place: rng => {
+        const s = rand(rng, 0.7, 1.4);
+        return { out: rand(rng, 3, 30), dz: rng() * 30, sx: s, sy: s, sz: s, rot: rng() * Math.PI };
+      },
+    },
+    {
+      parts: [[mesaGeo, mesaMat]], count: 1,
+      place: rng => {
+        const keep = rng() < 0.5;
+        const r = rand(rng, 12, 28);
+        const p = { out: rand(rng, 45, 90), dz: rng() * 30, sx: r, sy: rand(rng, 8, 22), sz: r, rot: rng() * Math.PI };
+        return keep ? p : null;
+      },
+    },
+  ],
+  city: [
+    {
+      parts: [[blockGeo, blockMat]], count: 2, shadow: true,
+      place: rng => ({
+        out: rand(rng, 8, 40), dz: rng() * 30,
+        sx: rand(rng, 6, 14), sy: rand(rng, 8, 40), sz: rand(rng, 8, 20), rot: 0,
+        color: BLOCK_COLORS[Math.floor(rng() * BLOCK_COLORS.length)],
+      }),
+    },
+  ],
+  rain: [
+    {
+      parts: [[bushGeo, bushMat]], count: 3,
+      place: rng => {
+        const s = rand(rng, 1.2, 2.5);
+        return { out: rand(rng, 2, 15), dz: rng() * 30, sx: s, sy: s * 0.8, sz: s, rot: rng() * Math.PI };
+      },
+    },
+    {
+      parts: [[puddleGeo, puddleMat]], count: 2,
+      place: rng => ({
+        out: -rand(rng, 1, 8), dz: rng() * 30,
+        sx: rand(rng, 1, 3), sy: 1, sz: rand(rng, 1.5, 4), rot: rng() * Math.PI,
+      }),
+    },
+    {
+      // Lamps stand at the segment centre, i.e. the start of the far half
+      parts: [[streakGeo, streakMat]], count: 1,
+      place: (rng, half, shoulder) => half === 1
+        ? { out: -(shoulder + 1), dz: 4, sx: 1, sy: 1, sz: 1, rot: 0 }
+        : null,
+    },
+  ],
+};
+
+/** Which kit each map's roadside uses. */
+const THEME_BIOMES = {
+  snow: 'snow', desert: 'desert', rain: 'rain',
+  day: 'city', night: 'city', dusk: 'city', dawn: 'city',
+};
+
+export function biomeForTheme(theme) {
+  return THEME_BIOMES[theme] || 'city';
+}
+
+const _m      = new THREE.Matrix4();
+const _hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+const _pos    = new THREE.Vector3();
+const _quat   = new THREE.Quaternion();
+const _scale  = new THREE.Vector3();
+const _euler  = new THREE.Euler();
+const _color  = new THREE.Color();
+
+export class Scenery {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('./RoadPath.js').RoadPath}     road
+   * @param {import('./LaneLayout.js').LaneLayout} lanes
+   * @param {object} opts
+   * @param {number} opts.poolSize   — World's segment pool size
+   * @param {number} opts.segmentLen
+   * @param {number} opts.shoulder   — tarmac between the open edge and the barrier
+   * @param {THREE.Texture} opts.glowMap
+   */
+  constructor(scene, road, lanes, { poolSize, segmentLen, shoulder, glowMap }) {
+    this.road  = road;
+    this.lanes = lanes;
+    this.segmentLen = segmentLen;
+    this.shoulder   = shoulder;
+    streakMat.map   = glowMap;
+    this._seed = null;           // null = Math.random (menu demo)
+    this._meshes = [];
+
+    // One InstancedMesh per prop part, sized for every group in the pool
+    this._props = [];
+    for (const [biome, kit] of Object.entries(BIOMES)) {
+      for (const prop of kit) {
+        const meshes = prop.parts.map(([geo, mat]) => {
+          const mesh = new THREE.InstancedMesh(geo, mat, poolSize * GROUPS * prop.count);
+          mesh.frustumCulled = false;   // instances span the whole pool
+          mesh.castShadow = !!prop.shadow;
+          mesh.receiveShadow = true;
+          for (let i = 0; i < mesh.count; i++) mesh.setMatrixAt(i, _hidden);
+          scene.add(mesh);
+          this._meshes.push(mesh);
+          return mesh;
+        });
+        this._props.push({ biome, prop, meshes });
+      }
+    }
+  }
+
+  /** Seed the layout (null = Math.random); segment k always gets the same props. */
+  setSeed(seed) {
+    this._seed = seed;
+  }
+
+  /**
+   * Lay out the scenery for pool slot `slot`, now at road distance z.
+   * @param {number} slot
+   * @param {number} z — segment centre
+   * @param {(r: number) => string} pickBiome — biome for a group, from a uniform draw
+   */
+  place(slot, z, pickBiome) {
+    const k   = Math.round(z / this.segmentLen);
+    const rng = this._seed === null
+      ? Math.random
+      : createRng((this._seed + Math.imul(k, 0x9E3779B1)) >>> 0);
+
+    for (let g = 0; g < GROUPS; g++) {
+      const side  = g % 2 === 0 ? -1 : 1;
+      const half  = Math.floor(g / 2);
+      const biome = pickBiome(rng());
+      const z0    = z - this.segmentLen / 2 + half * (this.segmentLen / GROUP_HALVES);
+
+      for (const { biome: b, prop, meshes } of this._props) {
+        const base = (slot * GROUPS + g) * prop.count;
+        for (let i = 0; i < prop.count; i++) {
+          const p = b === biome ? prop.place(rng, half, this.shoulder) : null;
+          if (p) this._compose(p, side, z0);
+          for (const mesh of meshes) {
+            mesh.setMatrixAt(base + i, p ? _m : _hidden);
+            if (p && p.color !== undefined) mesh.setColorAt(base + i, _color.setHex(p.color));
+          }
+        }
+      }
+    }
+
+    for (const mesh of this._meshes) {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+  }
+
+  // Road space → world matrix; props stay upright and turn with the road
+  _compose(p, side, z0) {
+    const z = z0 + p.dz;
+    const x = this.lanes.edgeAt(z, side, true) + side * (this.shoulder + p.out);
+    this.road.toWorld(x, 0, z, _pos);
+    _euler.set(0, this.road.frameAt(z).heading + p.rot, 0);
+    _quat.setFromEuler(_euler);
+    _scale.set(p.sx, p.sy, p.sz);
+    _m.compose(_pos, _quat, _scale);
+  }
+
+  /** 0 daylight → 1 night (World.lightLevel) — lamp reflections on the wet road. */
+  setLightLevel(level) {
+    streakMat.opacity = 0.15 + level * 0.5;
+  }
+
+  setVisible(visible) {
+    for (const mesh of this._meshes) mesh.visible = visible;
+  }
+}
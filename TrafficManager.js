@@ -1,15 +1,71 @@
 import * as THREE from 'three';
-import { LANE_COUNT, LANE_WIDTH, laneToX } from './World.js';
+import { SHOULDER, glowTexture } from './World.js';
+import { LANE_SLOTS, LANE_WIDTH, laneToX } from './LaneLayout.js';
 
 // ---- Config ----
 const POOL_SIZE        = 30;
 const SPAWN_AHEAD      = 300;
 const DESPAWN_BEHIND   = 80;
-const MIN_SPEED        = 60;   // km/h
-const MAX_SPEED        = 120;
-const LANE_CHANGE_P    = 0.003;
-const NEAR_MISS_DIST   = 2.5;
-const NEAR_MISS_Z      = 5;
+const DESPAWN_AHEAD    = 600;   // m — sirens that got away
+const LANE_CHANGE_RATE = 0.18;  // lane-change attempts per second
+const NEAR_MISS_GAP_X  = 1.55;  // m of side clearance that still counts as a near miss
+const NEAR_MISS_GAP_Z  = 3;     // m past either bumper
+const ONCOMING_MISS_SPEED = 60; // km/h the player must be doing for an oncoming near miss
+const HIT_COOLDOWN     = 0.6;   // s before a knocked car can hit the player again
+const KNOCK_TIME       = 1.2;   // s a knocked car slides before merging back into a lane
+const MERGE_AHEAD      = 150;   // m — start merging this far before a lane ends
+const FOG_SLOWDOWN     = 0.25;  // extra slowdown in the thick of a fog bank
+
+// Oncoming traffic (setOncoming) — lane slots left of the double yellow run toward the player
+const ONCOMING_LANES       = LANE_SLOTS / 2;   // slots below this are the opposite carriageway
+const ONCOMING_SHARE       = 0.4;   // share of spawns on the opposite carriageway
+const ONCOMING_SPAWN_AHEAD = 450;   // m — farther out than SPAWN_AHEAD, they close twice as fast
+
+// Car following — Intelligent Driver Model (IDM)
+const IDM_ACCEL         = 1.6;  // m/s² pulling away
+const IDM_BRAKE         = 3.0;  // m/s² comfortable braking
+const IDM_MAX_BRAKE     = 9;    // m/s² emergency stop
+const IDM_MIN_GAP       = 3;    // m bumper to bumper at a standstill
+const IDM_TIME_GAP      = 1.2;  // s of headway at speed
+const FOLLOW_RANGE      = 120;  // m — leaders farther ahead don't matter
+const FOLLOW_MARGIN     = 0.4;  // m of lateral slack when deciding who's in the lane
+const BRAKE_LIGHT_DECEL = 1;    // m/s² — brake lights come on harder than this
+const PLAYER_HALF_W     = 1.0;  // player footprint when update() isn't given one (stock sports car)
+const PLAYER_HALF_L     = 2.1;
+
+// Lane changes are signalled for SIGNAL_TIME before the car moves over;
+// aggressive drivers signal for a random 0–AGGRO_SIGNAL_TIME (often not at all)
+const SIGNAL_TIME        = 1.5;   // s
+const AGGRO_SIGNAL_TIME  = 0.5;   // s
+const SIGNAL_GIVE_UP     = 4;     // s past the lead time before a blocked change is dropped
+const BLINK_PERIOD       = 0.7;   // s per on/off cycle
+const LANE_CLEAR_GAP     = 8;     // m past either bumper that must be free in the new lane
+const LOOK_BACK_TIME     = 2;     // s of the player's closing speed checked behind
+const DEFAULT_AGGRESSION = 0.15;  // share of aggressive drivers (see setAggression)
+
+// Emergency vehicles come up from behind with lights flashing; traffic ahead
+// pulls aside to open a corridor down a lane line for them
+const SIREN_GAP      = [25, 60];  // s between ambulance / police runs
+const SIREN_BEHIND   = 70;        // m behind the player they spawn
+const SIREN_OVERTAKE = 40;        // km/h faster than the player
+const SIREN_MAX      = 320;       // km/h
+const SIREN_ACCEL    = 5;         // m/s² — they don't hang about
+const SIREN_FLASH    = 0.5;       // s per red/blue cycle
+const YIELD_RANGE    = 90;        // m — cars this far ahead of a siren pull aside…
+const YIELD_TIME     = 5;         // s — …or this long before it closes in, if farther
+const YIELD_SHIFT    = 1.3;       // m off the lane centre
+const YIELD_SLOW     = 0.7;       // × cruise while pulled aside
+
+// Police pursuit — main.js's heat mechanic decides how many units chase
+const PURSUIT_SPAWN_GAP = 4;      // s between units joining the chase
+const CHASE_GAIN        = 6;      // km/h per metre off the unit's station
+const CHASE_CLOSE       = 90;     // km/h max closing on its station
+const CHASE_DROP        = 40;     // km/h max falling back to it
+const CHASE_STEER       = 2;      // lateral easing rate
+const CHASE_STUCK       = 1.5;    // s stuck behind traffic before trying the other side
+const CHASE_BLOCK_AHEAD = 4;      // m — the rolling block's gap in front of the player
+const BOX_SIDE_GAP      = 2.2;    // m beside the player (about a lane) that still hems them in
+const BOX_AHEAD_GAP     = 6;      // m in front that still hems them in
 
 const COLORS = [
   0xff3333, 0x3355ff, 0x33cc55, 0xffee33, 0xff33ff,
@@ -22,115 +78,374 @@ const sedanBodyGeo  = new THREE.BoxGeometry(1.9, 0.55, 4.0);
 const sedanCabGeo   = new THREE.BoxGeometry(1.6, 0.45, 1.8);
 const suvBodyGeo    = new THREE.BoxGeometry(2.1, 0.8, 4.5);
 const suvCabGeo     = new THREE.BoxGeometry(1.8, 0.55, 2.2);
+const vanBodyGeo    = new THREE.BoxGeometry(2.1, 1.7, 5.0);
+const vanScreenGeo  = new THREE.BoxGeometry(1.8, 0.6, 0.1);
+const sportsBodyGeo = new THREE.BoxGeometry(1.9, 0.42, 4.2);
+const sportsCabGeo  = new THREE.BoxGeometry(1.5, 0.35, 1.5);
+const spoilerGeo    = new THREE.BoxGeometry(1.8, 0.08, 0.4);
+const bikeBodyGeo   = new THREE.BoxGeometry(0.35, 0.45, 1.6);
+const riderGeo      = new THREE.BoxGeometry(0.45, 0.7, 0.45);
+const helmetGeo     = new THREE.SphereGeometry(0.18, 8, 6);
 const truckBodyGeo  = new THREE.BoxGeometry(2.2, 1.5, 5.5);
+const busBodyGeo    = new THREE.BoxGeometry(2.5, 2.6, 11);
+const busWindowGeo  = new THREE.BoxGeometry(2.56, 0.7, 9.6);
+const tractorGeo    = new THREE.BoxGeometry(2.3, 2.2, 2.8);
+const trailerGeo    = new THREE.BoxGeometry(2.5, 2.8, 12.4);
 const wheelGeo      = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 10);
+const bikeWheelGeo  = new THREE.CylinderGeometry(0.32, 0.32, 0.12, 10);
 const wheelMat      = new THREE.MeshToonMaterial({ color: 0x222222 });
 const cabMat        = new THREE.MeshToonMaterial({ color: 0x334455, transparent: true, opacity: 0.6 });
+const riderMat      = new THREE.MeshToonMaterial({ color: 0x2a2a33 });
+const trailerMat    = new THREE.MeshToonMaterial({ color: 0xd8d8d0 });
 const tlGeo         = new THREE.BoxGeometry(0.2, 0.1, 0.05);
 const tlMat         = new THREE.MeshToonMaterial({ color: 0xff0000, emissive: 0xff0000, emissiveIntensity: 0.3 });
+// Faked tail-light glow — one additive decal behind each car, faded in at night
+const tailGlowGeo   = new THREE.PlaneGeometry(2.4, 1.0);
+const tailGlowMat   = new THREE.MeshBasicMaterial({
+  map: glowTexture(), color: 0xff2200, transparent: true, opacity: 0,
+  blending: THREE.AdditiveBlending, depthWrite: false,
+});
+// Headlight glow — an additive decal in front of each car, faded in at night;
+// only oncoming cars face the camera, so only they show it
+const headGlowMat   = new THREE.MeshBasicMaterial({
+  map: glowTexture(), color: 0xfff2cc, transparent: true, opacity: 0,
+  blending: THREE.AdditiveBlending, depthWrite: false,
+});
+// Brake lights — swapped onto a car's tail lights while it slows down
+const brakeMat      = new THREE.MeshToonMaterial({ color: 0xff2222, emissive: 0xff0000, emissiveIntensity: 2 });
+const brakeGlowMat  = tailGlowMat.clone();
+brakeGlowMat.opacity = 0.35;
+// Indicators — amber corner lamps, lit on the blink while signalling
+const indGeo        = new THREE.BoxGeometry(0.16, 0.12, 0.08);
+const indMat        = new THREE.MeshToonMaterial({ color: 0x885500, emissive: 0xff8800, emissiveIntensity: 0.1 });
+const indOnMat      = new THREE.MeshToonMaterial({ color: 0xffaa00, emissive: 0xff9900, emissiveIntensity: 2.5 });
+// Emergency liveries and light bars — [off, on] per beacon colour
+const policeDoorGeo = new THREE.BoxGeometry(1.92, 0.3, 1.8);
+const stripeGeo     = new THREE.BoxGeometry(2.12, 0.25, 5.02);
+const whiteMat      = new THREE.MeshToonMaterial({ color: 0xf4f4f4 });
+const stripeMat     = new THREE.MeshToonMaterial({ color: 0xdd2222 });
+const beaconGeo     = new THREE.BoxGeometry(0.5, 0.16, 0.3);
+const BEACON_MATS   = [
+  [new THREE.MeshToonMaterial({ color: 0x661111, emissive: 0xff0000, emissiveIntensity: 0.1 }),
+   new THREE.MeshToonMaterial({ color: 0xff3333, emissive: 0xff0000, emissiveIntensity: 3 })],
+  [new THREE.MeshToonMaterial({ color: 0x111166, emissive: 0x0044ff, emissiveIntensity: 0.1 }),
+   new THREE.MeshToonMaterial({ color: 0x3366ff, emissive: 0x0044ff, emissiveIntensity: 3 })],
+];
 
 // Outline material for cel-shaded look
 const outlineMat = new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.BackSide });
 
-function randomColor() {
-  return COLORS[Math.floor(Math.random() * COLORS.length)];
+function randomColor(rng) {
+  return COLORS[Math.floor(rng() * COLORS.length)];
+}
+
+// ============================================================
+//  TRAFFIC BODIES
+//  Each builder adds one vehicle's meshes to group g, painted with the
+//  slot's body material. Origins sit on the ground at the car's centre.
+// ============================================================
+function addPart(g, geo, mat, x, y, z, outline = false) {
+  const m = new THREE.Mesh(geo, mat);
+  m.position.set(x, y, z);
+  m.castShadow = mat !== cabMat;
+  g.add(m);
+  if (outline) {
+    const o = new THREE.Mesh(geo, outlineMat);
+    o.position.set(x, y, z);
+    o.scale.multiplyScalar(1.04);
+    g.add(o);
+  }
+  return m;
+}
+
+function addWheels(g, x, zs, geo = wheelGeo) {
+  for (const z of zs) {
+    for (const sx of x === 0 ? [0] : [-x, x]) {
+      const w = new THREE.Mesh(geo, wheelMat);
+      w.rotation.z = Math.PI / 2;
+      w.position.set(sx, geo === bikeWheelGeo ? 0.32 : 0.3, z);
+      g.add(w);
+    }
+  }
+}
+
+function buildSedan(g, body) {
+  addPart(g, sedanBodyGeo, body, 0, 0.5, 0, true);
+  addPart(g, sedanCabGeo, cabMat, 0, 0.97, -0.2);
+  addWheels(g, 0.85, [1.2, -1.2]);
+}
+
+function buildSuv(g, body) {
+  addPart(g, suvBodyGeo, body, 0, 0.65, 0, true);
+  addPart(g, suvCabGeo, cabMat, 0, 1.3, -0.3);
+  addWheels(g, 0.85, [1.4, -1.4]);
+}
+
+function buildVan(g, body) {
+  addPart(g, vanBodyGeo, body, 0, 1.15, 0, true);
+  addPart(g, vanScreenGeo, cabMat, 0, 1.6, 2.5);
+  addWheels(g, 0.9, [1.7, -1.7]);
+}
+
+function buildSports(g, body) {
+  addPart(g, sportsBodyGeo, body, 0, 0.42, 0, true);
+  addPart(g, sportsCabGeo, cabMat, 0, 0.8, -0.3);
+  addPart(g, spoilerGeo, wheelMat, 0, 0.85, -1.9);
+  addWheels(g, 0.85, [1.3, -1.3]);
+}
+
+function buildMotorbike(g, body) {
+  addPart(g, bikeBodyGeo, body, 0, 0.65, 0, true);
+  addPart(g, riderGeo, riderMat, 0, 1.25, -0.15);
+  addPart(g, helmetGeo, body, 0, 1.75, -0.1);
+  addWheels(g, 0, [0.7, -0.7], bikeWheelGeo);
+}
+
+function buildTruck(g, body) {
+  addPart(g, truckBodyGeo, body, 0, 0.95, 0, true);
+  addWheels(g, 0.9, [1.9, -1.9]);
+}
+
+function buildBus(g, body) {
+  addPart(g, busBodyGeo, body, 0, 1.55, 0, true);
+  addPart(g, busWindowGeo, cabMat, 0, 2.2, 0.3);
+  addWheels(g, 1.05, [3.8, -3.2]);
+}
+
+// Painted tractor up front, plain box trailer behind
+function buildSemi(g, body) {
+  addPart(g, tractorGeo, body, 0, 1.4, 6.8, true);
+  addPart(g, vanScreenGeo, cabMat, 0, 1.9, 8.2);
+  addPart(g, trailerGeo, trailerMat, 0, 1.9, -2.0, true);
+  addWheels(g, 1.05, [7.2, 5.0, -5.5, -7.0]);
+}
+
+// Sedan in police livery: dark body, white doors
+function buildPolice(g, body) {
+  buildSedan(g, body);
+  addPart(g, policeDoorGeo, whiteMat, 0, 0.5, 0.1);
+}
+
+function buildAmbulance(g, body) {
+  buildVan(g, body);
+  addPart(g, stripeGeo, stripeMat, 0, 1.0, 0);
+}
+
+// ============================================================
+//  TRAFFIC ROSTER
+//  weight     — relative spawn chance (0 = never in the random mix)
+//  halfW/L    — hitbox, metres (also used for following gaps and spacing)
+//  speed      — [min, max] clear-weather cruise, km/h
+//  keepRight  — lane preference, -1 (keeps left) … 1 (keeps right)
+//  laneChange — × LANE_CHANGE_RATE
+//  aggression — added to the difficulty's share of aggressive drivers
+//  lightY     — height of the tail lights and indicators
+//  lightBar   — roof height of a flashing light bar (emergency vehicles)
+//  color      — fixed livery instead of a random paint job
+// ============================================================
+const TRAFFIC_ROSTER = {
+  sedan:     { weight: 30, build: buildSedan,     halfW: 0.95, halfL: 2.0,  speed: [60, 120],  keepRight: 0,    laneChange: 1,   aggression: 0,    lightY: 0.55 },
+  suv:       { weight: 18, build: buildSuv,       halfW: 1.05, halfL: 2.25, speed: [60, 115],  keepRight: 0.1,  laneChange: 1,   aggression: 0,    lightY: 0.65 },
+  van:       { weight: 12, build: buildVan,       halfW: 1.05, halfL: 2.5,  speed: [60, 105],  keepRight: 0.3,  laneChange: 0.7, aggression: 0,    lightY: 0.7  },
+  sports:    { weight: 8,  build: buildSports,    halfW: 0.95, halfL: 2.1,  speed: [100, 150], keepRight: -0.3, laneChange: 2,   aggression: 0.3,  lightY: 0.45 },
+  motorbike: { weight: 8,  build: buildMotorbike, halfW: 0.45, halfL: 1.1,  speed: [80, 140],  keepRight: 0,    laneChange: 2.5, aggression: 0.2,  lightY: 0.75 },
+  truck:     { weight: 12, build: buildTruck,     halfW: 1.1,  halfL: 2.75, speed: [55, 90],   keepRight: 0.6,  laneChange: 0.5, aggression: 0,    lightY: 0.7  },
+  bus:       { weight: 5,  build: buildBus,       halfW: 1.25, halfL: 5.5,  speed: [55, 85],   keepRight: 0.7,  laneChange: 0.3, aggression: 0,    lightY: 0.6  },
+  semi:      { weight: 7,  build: buildSemi,      halfW: 1.25, halfL: 8.2,  speed: [55, 90],   keepRight: 0.9,  laneChange: 0.2, aggression: 0,    lightY: 0.8  },
+  ambulance: { weight: 0,  build: buildAmbulance, halfW: 1.05, halfL: 2.5,  speed: [130, 160], keepRight: 0,    laneChange: 1,   aggression: 0,    lightY: 0.7,  lightBar: 2.08, color: 0xf4f4f4 },
+  police:    { weight: 0,  build: buildPolice,    halfW: 0.95, halfL: 2.0,  speed: [120, 150], keepRight: 0,    laneChange: 1,   aggression: 0,    lightY: 0.55, lightBar: 1.27, color: 0x1c1f2e },
+};
+const ROSTER_TYPES  = Object.keys(TRAFFIC_ROSTER);
+const ROSTER_WEIGHT = ROSTER_TYPES.reduce((sum, t) => sum + TRAFFIC_ROSTER[t].weight, 0);
+
+function pickType(rng) {
+  let r = rng() * ROSTER_WEIGHT;
+  for (const type of ROSTER_TYPES) {
+    r -= TRAFFIC_ROSTER[type].weight;
+    if (r < 0) return type;
+  }
+  return ROSTER_TYPES[0];
 }
 
 export class TrafficManager {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {() => number} [rng] — seedable PRNG (see Random.js); defaults to Math.random
+   */
+  constructor(scene, rng) {
     this.scene = scene;
+    this.rng = rng || Math.random;
     this.pool = [];
     this.spawnAccum = 0;
     this.onNearMiss = null;
+    this.onOvertake = null;
+    this._interpolated = false;
+    this._lanes = null;            // World.lanes — set with setLaneLayout() before update()
+    this._weather = null;          // World.weather — null drives as if it's dry and clear
+    this._lead = { gap: Infinity, speed: 0 };   // scratch result of _leader()
+    this._aggression = DEFAULT_AGGRESSION;
+    this._oncoming = false;        // opposite carriageway in use (setOncoming)
+    this._blinkClock = 0;
+    // Player as of the last update(), for lane-change clearance
+    this._playerX = 0;
+    this._playerZ = -Infinity;
+    this._playerSpeed = 0;
+    this._playerHalfW = PLAYER_HALF_W;   // real extents of the player's car (custom builds vary)
+    this._playerHalfL = PLAYER_HALF_L;
+    // Emergency vehicles and police pursuit
+    this._sirens = [];             // active cars with their lights on, this update
+    this._sirenClock = 0;
+    this._sirenTimer = this._nextSirenGap();
+    this._pursuitUnits = 0;
+    this._pursuitTimer = 0;
     this._buildPool();
   }
 
+  // ---- Seeded randomness — call before reset() to replay a seed ----
+  setRng(rng) {
+    this.rng = rng;
+  }
+
+  // ---- Which lanes are open where (LaneLayout.js) ----
+  setLaneLayout(lanes) {
+    this._lanes = lanes;
+  }
+
+  // ---- Difficulty: share (0–1) of drivers who signal late or not at all ----
+  setAggression(share) {
+    this._aggression = share ?? DEFAULT_AGGRESSION;
+  }
+
+  // ---- Police pursuit: how many units should be chasing the player (0 = none) ----
+  setPursuit(units) {
+    this._pursuitUnits = units;
+  }
+
+  // ---- Road conditions: everyone cruises slower in rain, snow and fog ----
+  setWeather(weather) {
+    this._weather = weather;
+  }
+
+  _weatherFactor() {
+    const w = this._weather;
+    return w ? w.traffic * (1 - FOG_SLOWDOWN * w.fog) : 1;
+  }
+
   _buildPool() {
     for (let i = 0; i < POOL_SIZE; i++) {
-      const car = this._createCar();
+      // Empty until its first spawn; _configure() builds whichever type it gets
+      const car = new THREE.Group();
       car.visible = false;
       car.userData = {
         active: false,
+        type: null,           // TRAFFIC_ROSTER key the slot is currently built as
+        body: null,           // model group — turned round for oncoming traffic
+        dir: 1,               // direction of travel: 1 with the player, -1 oncoming
+        role: 'traffic',      // 'traffic' | 'siren' (emergency run) | 'chase' (police pursuit)
+        corridor: 0,          // siren: runs down the line between lanes corridor and corridor + 1
+        corridorLane: false,  // siren: no line open — running down lane corridor itself
+        unit: 0,              // chase: 0 rolling block ahead of the player, 1 alongside
+        chaseSpeed: 0,        // chase: km/h to hold station on the player
+        chaseSide: 0,         // chase: side of the player it works from, -1 / 1
+        chaseStuck: 0,        // chase: s spent braking behind traffic
+        yieldSide: 0,         // pulled aside for a siren: -1 left, 1 right, 0 not
+        yieldBlocking: false, // the siren is right behind in this car's lane
+        bodyMat: new THREE.MeshToonMaterial({ color: 0xffffff }),   // repainted per spawn
         speed: 0,
+        cruise: 0,            // km/h the driver wants in clear weather
         lane: 0,
         targetLane: 0,
         lcTimer: 0,
+        aggressive: false,
+        signalLane: null,     // lane being signalled toward, before targetLane moves
+        signalTimer: 0,       // s of signalling left before moving over
+        indicatorSide: 0,     // lit indicator: -1 left, 1 right, 0 none
         nearMissCounted: false,
+        overtaken: false,
+        knockVX: 0,           // lateral slide after being hit, m/s
+        knockSpin: 0,         // yaw rate after being hit, rad/s
+        knockTimer: 0,
+        hitCooldown: 0,
+        braking: false,
+        tailLights: [],
+        tailGlow: null,
+        indicators: [],
+        beacons: [],
+        beaconPhase: -1,      // lit beacon: 0 red, 1 blue, -1 none
+        prevX: 0, prevZ: 0,   // position at the previous fixed tick
+        simX: 0,  simZ: 0,    // true position while interpolated for render
         halfW: 0.95,
         halfL: 2.0,
-        bodyMesh: car.children[0]
       };
       this.pool.push(car);
       this.scene.add(car);
     }
   }
 
-  _createCar() {
-    const g = new THREE.Group();
-    const col = randomColor();
-    const t = Math.random();
-
-    if (t < 0.5) {
-      // Sedan
-      const body = new THREE.Mesh(sedanBodyGeo, new THREE.MeshToonMaterial({ color: col }));
-      body.position.y = 0.5;
-      body.castShadow = true;
-      g.add(body);
-      // Outline
-      const outline = new THREE.Mesh(sedanBodyGeo, outlineMat.clone());
-      outline.position.y = 0.5;
-      outline.scale.multiplyScalar(1.04);
-      g.add(outline);
-      const cab = new THREE.Mesh(sedanCabGeo, cabMat);
-      cab.position.set(0, 0.97, -0.2);
-      g.add(cab);
-      g.userData.halfL = 2.0;
-      g.userData.halfW = 0.95;
-    } else if (t < 0.8) {
-      // SUV
-      const body = new THREE.Mesh(suvBodyGeo, new THREE.MeshToonMaterial({ color: col }));
-      body.position.y = 0.65;
-      body.castShadow = true;
-      g.add(body);
-      const outline = new THREE.Mesh(suvBodyGeo, outlineMat.clone());
-      outline.position.y = 0.65;
-      outline.scale.multiplyScalar(1.04);
-      g.add(outline);
-      const cab = new THREE.Mesh(suvCabGeo, cabMat);
-      cab.position.set(0, 1.3, -0.3);
-      g.add(cab);
-      g.userData.halfL = 2.25;
-      g.userData.halfW = 1.05;
-    } else {
-      // Truck
-      const body = new THREE.Mesh(truckBodyGeo, new THREE.MeshToonMaterial({ color: col }));
-      body.position.y = 0.95;
-      body.castShadow = true;
-      g.add(body);
-      const outline = new THREE.Mesh(truckBodyGeo, outlineMat.clone());
-      outline.position.y = 0.95;
-      outline.scale.multiplyScalar(1.04);
-      g.add(outline);
-      g.userData.halfL = 2.75;
-      g.userData.halfW = 1.1;
-    }
-
-    // Wheels
-    for (const [x, z] of [[-0.85, 1.2], [0.85, 1.2], [-0.85, -1.2], [0.85, -1.2]]) {
-      const w = new THREE.Mesh(wheelGeo, wheelMat);
-      w.rotation.z = Math.PI / 2;
-      w.position.set(x, 0.3, z);
-      g.add(w);
-    }
+  // Rebuild a pool slot as another roster type. Geometry and materials are
+  // shared, so dropping the old meshes needs no disposal. The model goes in
+  // an inner group so oncoming cars can face the other way while knocks and
+  // road bends still turn the outer one.
+  _configure(car, type) {
+    const spec = TRAFFIC_ROSTER[type];
+    const d = car.userData;
+    car.clear();
+    const body = new THREE.Group();
+    car.add(body);
+    spec.build(body, d.bodyMat);
 
-    // Tail lights
-    for (const sx of [-0.6, 0.6]) {
+    // Tail lights (one, centred, on a bike)
+    const tx = spec.halfW - 0.35;
+    d.tailLights = [];
+    for (const sx of spec.halfW < 0.6 ? [0] : [-tx, tx]) {
       const tl = new THREE.Mesh(tlGeo, tlMat);
-      tl.position.set(sx, 0.55, -(g.userData.halfL || 2.0));
-      g.add(tl);
+      tl.position.set(sx, spec.lightY, -spec.halfL);
+      body.add(tl);
+      d.tailLights.push(tl);
+    }
+    // Indicators on all four corners; userData.side says which way each one points
+    d.indicators = [];
+    for (const side of [-1, 1]) {
+      for (const z of [-spec.halfL, spec.halfL]) {
+        const ind = new THREE.Mesh(indGeo, indMat);
+        ind.position.set(side * (spec.halfW - 0.15), spec.lightY + 0.15, z);
+        ind.userData.side = side;
+        body.add(ind);
+        d.indicators.push(ind);
+      }
     }
 
-    return g;
+    const glow = new THREE.Mesh(tailGlowGeo, tailGlowMat);
+    glow.position.set(0, spec.lightY, -spec.halfL - 0.08);
+    glow.rotation.y = Math.PI;   // face the chase camera
+    glow.scale.x = spec.halfW / 0.95;
+    body.add(glow);
+    d.tailGlow = glow;
+
+    const head = new THREE.Mesh(tailGlowGeo, headGlowMat);
+    head.position.set(0, spec.lightY, spec.halfL + 0.08);
+    head.scale.x = spec.halfW / 0.95;
+    body.add(head);
+
+    // Light bar — a red and a blue beacon, flashed in turn by _setBeacons()
+    d.beacons = [];
+    if (spec.lightBar) {
+      for (const [phase, sx] of [[0, -0.28], [1, 0.28]]) {
+        const b = new THREE.Mesh(beaconGeo, BEACON_MATS[phase][0]);
+        b.position.set(sx, spec.lightBar, 0);
+        b.userData.phase = phase;
+        body.add(b);
+        d.beacons.push(b);
+      }
+    }
+
+    d.type  = type;
+    d.body  = body;
+    d.halfW = spec.halfW;
+    d.halfL = spec.halfL;
+    d.braking = false;
+    d.indicatorSide = 0;
+    d.beaconPhase = -1;
   }
 
   _getInactive() {
@@ -147,99 +462,717 @@ export class TrafficManager {
     const car = this._getInactive();
     if (!car) return;
 
-    const lane = Math.floor(Math.random() * LANE_COUNT);
+    const type = pickType(this.rng);
+    const spec = TRAFFIC_ROSTER[type];
+    const dir  = this._oncoming && this.rng() < ONCOMING_SHARE ? -1 : 1;
+    const z = playerZ + (dir > 0 ? SPAWN_AHEAD : ONCOMING_SPAWN_AHEAD) + this.rng() * 100;
+    const open = this._openLanes(z, dir);
+    if (open.length === 0) return;
+    // keepRight is the driver's own right — -x for oncoming traffic
+    const lane = this._pickLane(open, spec.keepRight * dir);
     const x = laneToX(lane);
-    const z = playerZ + SPAWN_AHEAD + Math.random() * 100;
+    if (!this._roomAt(x, z, spec.halfL)) return;
+    this._activate(car, type, lane, x, z);
+  }
+
+  // ---- Carriageways: which way each lane slot runs ----
+  setOncoming(on) {
+    this._oncoming = !!on;
+  }
+
+  _laneDir(lane) {
+    return this._oncoming && lane < ONCOMING_LANES ? -1 : 1;
+  }
+
+  // Open lanes at z running in direction dir, low to high
+  _openLanes(z, dir) {
+    return this._lanes.openLanes(z).filter(lane => this._laneDir(lane) === dir);
+  }
 
+  // No active car within a few metres of a car of half-length halfL at (x, z)
+  _roomAt(x, z, halfL) {
     for (const o of this.pool) {
-      if (o.userData.active && Math.abs(o.position.z - z) < 10 && Math.abs(o.position.x - x) < 3) return;
+      if (o.userData.active && Math.abs(o.position.z - z) < o.userData.halfL + halfL + 6
+          && Math.abs(o.position.x - x) < 3) return false;
     }
+    return true;
+  }
 
+  // Put a pool slot on the road as `type`, in `lane` at (x, z)
+  _activate(car, type, lane, x, z, role = 'traffic') {
+    const spec = TRAFFIC_ROSTER[type];
+    const d = car.userData;
+    if (d.type !== type) this._configure(car, type);
     car.visible = true;
-    car.userData.active = true;
-    car.userData.lane = lane;
-    car.userData.targetLane = lane;
-    car.userData.speed = MIN_SPEED + Math.random() * (MAX_SPEED - MIN_SPEED);
-    car.userData.lcTimer = 0;
-    car.userData.nearMissCounted = false;
+    d.active = true;
+    d.role = role;
+    d.dir  = this._laneDir(lane);
+    d.body.rotation.y = d.dir > 0 ? 0 : Math.PI;
+    d.lane = lane;
+    d.targetLane = lane;
+    d.cruise = spec.speed[0] + this.rng() * (spec.speed[1] - spec.speed[0]);
+    d.speed  = d.dir * d.cruise * this._weatherFactor();   // signed: oncoming cars have speed < 0
+    d.lcTimer = 0;
+    d.aggressive = this.rng() < this._aggression + spec.aggression;
+    d.yieldSide = 0;
+    d.yieldBlocking = false;
+    this._signal(car, null);
+    d.nearMissCounted = false;
+    // Sirens start behind and oncoming cars pass the other way — neither is an overtake
+    d.overtaken = role !== 'traffic' || d.dir < 0;
+    d.knockVX = 0;
+    d.knockSpin = 0;
+    d.knockTimer = 0;
+    d.hitCooldown = 0;
+    this._setBraking(car, false);
     car.position.set(x, 0, z);
     car.rotation.set(0, 0, 0);
+    d.prevX = x;
+    d.prevZ = z;
 
-    const nc = randomColor();
-    car.children[0].material.color.setHex(nc);
+    d.bodyMat.color.setHex(spec.color ?? randomColor(this.rng));
+  }
+
+  // Open lane to spawn in, weighted toward the right (keepRight > 0) or left
+  _pickLane(open, keepRight) {
+    if (open.length === 1 || keepRight === 0) return open[Math.floor(this.rng() * open.length)];
+    let total = 0;
+    const weights = open.map((lane, i) => {
+      const t = i / (open.length - 1) * 2 - 1;   // -1 leftmost … 1 rightmost
+      const w = Math.max(0.05, 1 + keepRight * t * 2);
+      total += w;
+      return w;
+    });
+    let r = this.rng() * total;
+    for (let i = 0; i < open.length; i++) {
+      r -= weights[i];
+      if (r < 0) return open[i];
+    }
+    return open[open.length - 1];
   }
 
-  update(dt, playerX, playerZ, playerSpeed, distanceTraveled) {
+  /**
+   * @param {number} dt
+   * @param {number} playerX
+   * @param {number} playerZ
+   * @param {number} playerSpeed — km/h
+   * @param {number} distanceTraveled
+   * @param {{ halfW: number, halfL: number }} [playerSize] — player half-extents (CarController)
+   */
+  update(dt, playerX, playerZ, playerSpeed, distanceTraveled, playerSize = null) {
+    this._playerX = playerX;
+    this._playerZ = playerZ;
+    this._playerSpeed = playerSpeed;
+    this._playerHalfW = playerSize ? playerSize.halfW : PLAYER_HALF_W;
+    this._playerHalfL = playerSize ? playerSize.halfL : PLAYER_HALF_L;
+    this._blinkClock = (this._blinkClock + dt) % BLINK_PERIOD;
+    const blinkOn = this._blinkClock < BLINK_PERIOD / 2;
+    this._sirenClock = (this._sirenClock + dt) % SIREN_FLASH;
+    const flash = this._sirenClock < SIREN_FLASH / 2 ? 0 : 1;
+
     this.spawnAccum += dt;
     if (this.spawnAccum > 0.3) {
       this._spawn(playerZ, distanceTraveled);
       this.spawnAccum = 0;
     }
+    this._sirenTimer -= dt;
+    if (this._sirenTimer <= 0) {
+      this._spawnSiren(playerZ, playerSpeed);
+      this._sirenTimer = this._nextSirenGap();
+    }
+    this._updatePursuit(dt, playerZ, playerSpeed);
+
+    this._sirens.length = 0;
+    for (const car of this.pool) {
+      if (car.userData.active && car.userData.role !== 'traffic') this._sirens.push(car);
+    }
 
+    const weather = this._weatherFactor();
     for (const car of this.pool) {
       if (!car.userData.active) continue;
       const d = car.userData;
 
+      if (d.role === 'traffic' && d.dir > 0) this._updateYield(car);
+      this._follow(car, dt, weather, playerX, playerZ, playerSpeed);
       car.position.z += (d.speed / 3.6) * dt;
 
-      d.lcTimer -= dt;
-      if (d.lcTimer <= 0 && Math.random() < LANE_CHANGE_P) {
-        const dir = Math.random() < 0.5 ? -1 : 1;
-        const nl = d.targetLane + dir;
-        if (nl >= 0 && nl < LANE_COUNT) {
-          let clear = true;
-          for (const o of this.pool) {
-            if (o === car || !o.userData.active) continue;
-            if (o.userData.lane === nl && Math.abs(o.position.z - car.position.z) < 12) { clear = false; break; }
-          }
-          if (clear) {
-            d.targetLane = nl;
-            d.lcTimer = 3 + Math.random() * 5;
-          }
-        }
+      if (d.hitCooldown > 0) d.hitCooldown -= dt;
+      if (d.knockTimer > 0) {
+        this._updateKnocked(car, dt);
+      } else if (d.role === 'siren') {
+        this._updateSiren(car, dt);
+      } else if (d.role === 'chase') {
+        this._updateChase(car, dt);
+      } else {
+        this._updateLane(car, dt);
       }
+      const signalSide = d.signalLane === null ? 0 : Math.sign(d.signalLane - d.targetLane);
+      this._setIndicators(car, blinkOn ? signalSide * d.dir : 0);   // model's own left/right
+      this._setBeacons(car, d.role === 'traffic' ? -1 : flash);
 
-      const tx = laneToX(d.targetLane);
-      car.position.x += (tx - car.position.x) * dt * 2.5;
-      if (Math.abs(car.position.x - tx) < 0.1) d.lane = d.targetLane;
-
-      if (car.position.z < playerZ - DESPAWN_BEHIND) {
+      if (car.position.z < playerZ - DESPAWN_BEHIND || car.position.z > playerZ + DESPAWN_AHEAD) {
         car.visible = false;
         d.active = false;
         continue;
       }
 
+      // Overtake — car's rear bumper has dropped behind the player
+      if (!d.overtaken && car.position.z + d.halfL < playerZ) {
+        d.overtaken = true;
+        if (this.onOvertake) this.onOvertake();
+      }
+
       if (!d.nearMissCounted) {
         const dx = Math.abs(car.position.x - playerX);
         const dz = Math.abs(car.position.z - playerZ);
-        if (dx < NEAR_MISS_DIST && dz < NEAR_MISS_Z && playerSpeed > d.speed * 1.2) {
+        // Oncoming cars close head-on whatever the player does, so a parked
+        // player mustn't farm them — the player has to be moving too
+        const passing = d.dir > 0 ? playerSpeed > d.speed * 1.2 : playerSpeed >= ONCOMING_MISS_SPEED;
+        if (dx < d.halfW + NEAR_MISS_GAP_X && dz < d.halfL + NEAR_MISS_GAP_Z && passing) {
           d.nearMissCounted = true;
-          if (this.onNearMiss) this.onNearMiss();
+          if (this.onNearMiss) this.onNearMiss(d.dir < 0);
         }
       }
     }
   }
 
-  checkCollision(px, pz, pHalfW, pHalfL) {
+  // ---- Car following (IDM) ----
+  // Pull toward the weather's safe cruising speed on an open road; brake to
+  // keep a safe time gap behind whatever is ahead in the lane — another car
+  // or the player. Braking harder than BRAKE_LIGHT_DECEL lights the brakes.
+  // Sirens aim past the player instead, and pursuing police hold station.
+  // Speeds here are along the car's own direction of travel.
+  _follow(car, dt, weather, playerX, playerZ, playerSpeed) {
+    const d  = car.userData;
+    const v  = d.speed * d.dir / 3.6;   // m/s
+    const v0 = d.role === 'chase' ? Math.max(1, d.chaseSpeed / 3.6)
+      : d.role === 'siren' ? this._sirenSpeed(car, playerSpeed) / 3.6
+      : Math.max(1, d.cruise * weather * (d.yieldSide ? YIELD_SLOW : 1) / 3.6);
+    const a  = d.role === 'traffic' ? IDM_ACCEL : SIREN_ACCEL;
+    let accel = a * (1 - Math.pow(v / v0, 4));
+
+    const lead = this._leader(car, playerX, playerZ, playerSpeed);
+    if (lead) {
+      const closing = v - lead.speed / 3.6;
+      const wanted  = IDM_MIN_GAP
+        + Math.max(0, v * IDM_TIME_GAP + v * closing / (2 * Math.sqrt(IDM_ACCEL * IDM_BRAKE)));
+      accel -= a * Math.pow(wanted / Math.max(0.1, lead.gap), 2);
+    }
+
+    accel = Math.max(-IDM_MAX_BRAKE, accel);
+    d.speed = d.dir * Math.max(0, v * 3.6 + accel * 3.6 * dt);
+    this._setBraking(car, accel < -BRAKE_LIGHT_DECEL);
+  }
+
+  // Nearest car (or the player) ahead in this car's lane or the lane it's
+  // moving into; lead.speed is along this car's direction of travel
+  _leader(car, playerX, playerZ, playerSpeed) {
+    const d     = car.userData;
+    const front = car.position.z + d.dir * d.halfL;
+    const lead  = this._lead;
+    lead.gap = Infinity;
+
+    for (const o of this.pool) {
+      if (o === car || !o.userData.active) continue;
+      const od  = o.userData;
+      if (od.dir !== d.dir) continue;
+      const gap = (o.position.z - front) * d.dir - od.halfL;
+      // Skip anything alongside or behind, or farther than the best so far
+      if (gap < -d.halfL || gap >= lead.gap) continue;
+      if (!this._inPath(car, o.position.x, od.halfW)) continue;
+      lead.gap = gap;
+      lead.speed = od.speed * d.dir;
+    }
+
+    // Pursuing police close in on the player on purpose (see _updateChase);
+    // oncoming drivers can't stop for a wrong-way player in time anyway
+    const gap = d.role === 'chase' || d.dir < 0 ? Infinity : playerZ - this._playerHalfL - front;
+    if (gap >= -d.halfL && gap < lead.gap && this._inPath(car, playerX, this._playerHalfW)) {
+      lead.gap = gap;
+      lead.speed = playerSpeed;
+    }
+    return lead.gap < FOLLOW_RANGE ? lead : null;
+  }
+
+  // Something at lateral x with half-width halfW blocks this car's lane or
+  // target lane (sirens and police steer freely, so only where they are)
+  _inPath(car, x, halfW) {
+    const reach = car.userData.halfW + halfW + FOLLOW_MARGIN;
+    return Math.abs(x - car.position.x) < reach
+        || (car.userData.role === 'traffic' && Math.abs(x - laneToX(car.userData.targetLane)) < reach);
+  }
+
+  _setBraking(car, braking) {
+    const d = car.userData;
+    if (d.braking === braking) return;
+    d.braking = braking;
+    for (const tl of d.tailLights) tl.material = braking ? brakeMat : tlMat;
+    d.tailGlow.material = braking ? brakeGlowMat : tailGlowMat;
+  }
+
+  // ---- Normal driving: occasional lane changes, ease toward the lane centre ----
+  _updateLane(car, dt) {
+    const d = car.userData;
+    const spec = TRAFFIC_ROSTER[d.type];
+    const z = car.position.z;
+    d.lcTimer -= dt;
+
+    const ends = this._lanes.laneEndsIn(d.targetLane, z, MERGE_AHEAD, d.dir);
+    if (d.signalLane !== null) {
+      // Signalling — move over once the lead time is up and there's a gap;
+      // a lane that's already tapering shut forces the merge
+      d.signalTimer -= dt;
+      const stillOpen = ends < Infinity || this._lanes.laneEndsIn(d.signalLane, z, MERGE_AHEAD, d.dir) === Infinity;
+      if (ends === 0 || (d.signalTimer <= 0 && stillOpen && this._laneClear(car, d.signalLane))) {
+        d.targetLane = d.signalLane;
+        d.lcTimer = (d.aggressive ? 1 : 3) + this.rng() * 5;
+        this._signal(car, null);
+      } else if (ends === Infinity && (!stillOpen || d.signalTimer < -SIGNAL_GIVE_UP)) {
+        this._signal(car, null);
+        d.lcTimer = 1;
+      }
+    } else if (ends < Infinity) {
+      // Lane closing ahead — signal a merge toward the middle
+      this._signal(car, d.targetLane + (laneToX(d.targetLane) < 0 ? 1 : -1));
+    } else if (d.yieldBlocking) {
+      // Siren right behind — move over a whole lane if there's room
+      const nl = d.targetLane + d.yieldSide;
+      if (this._laneOk(nl, d.dir, z) && this._laneClear(car, nl)) {
+        this._signal(car, nl);
+      }
+    } else if (!d.yieldSide && d.lcTimer <= 0 && this.rng() < LANE_CHANGE_RATE * spec.laneChange * (d.aggressive ? 2 : 1) * dt) {
+      // Drift toward the type's preferred side of the road
+      const dir = this.rng() < 0.5 + 0.5 * spec.keepRight * d.dir ? 1 : -1;
+      const nl = d.targetLane + dir;
+      if (this._laneOk(nl, d.dir, z) && this._laneClear(car, nl)) {
+        this._signal(car, nl);
+      }
+    }
+
+    // Pulled aside for a siren: hug one side of the lane
+    const tx = laneToX(d.targetLane);
+    car.position.x += (tx + d.yieldSide * YIELD_SHIFT - car.position.x) * dt * 2.5;
+    if (Math.abs(car.position.x - tx) < 0.1) d.lane = d.targetLane;
+
+    // Straighten out after a knock
+    car.rotation.y *= 1 - Math.min(1, 3 * dt);
+  }
+
+  // Lane slot exists, runs this car's way and stays open past a merge's distance
+  _laneOk(lane, dir, z) {
+    return lane >= 0 && lane < LANE_SLOTS && this._laneDir(lane) === dir
+        && this._lanes.laneEndsIn(lane, z, MERGE_AHEAD, dir) === Infinity;
+  }
+
+  // Room in `lane` beside this car — other cars and the player, looking further
+  // back the faster the player is closing in (aggressive drivers don't look back)
+  _laneClear(car, lane) {
+    const d = car.userData;
+    const z = car.position.z;
+    for (const o of this.pool) {
+      if (o === car || !o.userData.active) continue;
+      const od = o.userData;
+      if ((od.lane === lane || od.targetLane === lane)
+          && Math.abs(o.position.z - z) < od.halfL + d.halfL + LANE_CLEAR_GAP) return false;
+    }
+
+    if (Math.abs(this._playerX - laneToX(lane)) < LANE_WIDTH / 2 + this._playerHalfW) {
+      // Along this car's direction of travel: the player catches up from
+      // behind, or — for oncoming traffic — drives at it from ahead
+      const along = this._playerSpeed * d.dir;
+      const speed = d.speed * d.dir;
+      const gap   = this._playerHalfL + d.halfL + LANE_CLEAR_GAP;
+      const lookBack  = gap + (d.aggressive ? 0 : Math.max(0, along - speed) / 3.6 * LOOK_BACK_TIME);
+      const lookAhead = gap + (d.aggressive || d.dir > 0 ? 0 : (speed - along) / 3.6 * LOOK_BACK_TIME);
+      const dz = (this._playerZ - z) * d.dir;
+      if (dz < lookAhead && dz > -lookBack) return false;
+    }
+    return true;
+  }
+
+  // Start signalling toward `lane`, or stop (null)
+  _signal(car, lane) {
+    const d = car.userData;
+    d.signalLane  = lane;
+    d.signalTimer = lane === null ? 0
+      : !d.aggressive ? SIGNAL_TIME
+      : this.rng() < 0.5 ? 0 : this.rng() * AGGRO_SIGNAL_TIME;
+    if (lane === null) this._setIndicators(car, 0);
+  }
+
+  _setIndicators(car, side) {
+    const d = car.userData;
+    if (d.indicatorSide === side) return;
+    d.indicatorSide = side;
+    for (const ind of d.indicators) ind.material = ind.userData.side === side ? indOnMat : indMat;
+  }
+
+  // ---- Knocked: slide and spin out of lane, glance off the barrier, then merge back ----
+  _updateKnocked(car, dt) {
+    const d = car.userData;
+    d.knockTimer -= dt;
+    car.position.x += d.knockVX * dt;
+    car.rotation.y += d.knockSpin * dt;
+    d.knockVX   *= 1 - Math.min(1, 2.5 * dt);
+    d.knockSpin *= 1 - Math.min(1, 2.5 * dt);
+
+    // Barriers stand SHOULDER beyond the tarmac edge, wherever that is here
+    const z = car.position.z;
+    const minX = this._lanes.edgeAt(z, -1, true) - SHOULDER + d.halfW + 0.3;
+    const maxX = this._lanes.edgeAt(z,  1, true) + SHOULDER - d.halfW - 0.3;
+    if (car.position.x < minX || car.position.x > maxX) {
+      car.position.x = Math.max(minX, Math.min(maxX, car.position.x));
+      d.knockVX *= -0.4;
+    }
+
+    if (d.knockTimer <= 0) {
+      // Merge into the nearest open lane to wherever it ended up
+      d.lane = d.targetLane = this._nearestLane(car.position.x, z, d.dir, d.lane);
+      d.lcTimer = 2;
+    }
+  }
+
+  // Open lane at z running in direction dir whose centre is closest to x (fallback if none is open)
+  _nearestLane(x, z, dir, fallback = 0) {
+    let best = fallback, bestDist = Infinity;
+    for (const lane of this._openLanes(z, dir)) {
+      const dist = Math.abs(laneToX(lane) - x);
+      if (dist < bestDist) { best = lane; bestDist = dist; }
+    }
+    return best;
+  }
+
+  // ============================================================
+  //  EMERGENCY VEHICLES + POLICE PURSUIT
+  // ============================================================
+  _nextSirenGap() {
+    return SIREN_GAP[0] + this.rng() * (SIREN_GAP[1] - SIREN_GAP[0]);
+  }
+
+  // An ambulance or police car on a call, coming up from behind down a lane line
+  _spawnSiren(playerZ, playerSpeed) {
+    const car = this._getInactive();
+    if (!car) return;
+    const z = playerZ - SIREN_BEHIND;
+    const corridor = this._pickCorridor(z);
+    if (corridor === null) return;
+    const x = laneToX(corridor) + LANE_WIDTH / 2;
+    const type = this.rng() < 0.5 ? 'ambulance' : 'police';
+    if (!this._roomAt(x, z, TRAFFIC_ROSTER[type].halfL)) return;
+
+    this._activate(car, type, corridor, x, z, 'siren');
+    car.userData.corridor = corridor;
+    car.userData.corridorLane = false;
+    car.userData.speed = this._sirenSpeed(car, playerSpeed);
+  }
+
+  // Lane line between two open lanes at z — random, or the nearest to nearX; null if none
+  _pickCorridor(z, nearX = null) {
+    const open  = this._openLanes(z, 1);
+    const lines = open.filter(lane => open.includes(lane + 1));
+    if (lines.length === 0) return null;
+    if (nearX === null) return lines[Math.floor(this.rng() * lines.length)];
+    let best = lines[0];
+    for (const line of lines) {
+      if (Math.abs(laneToX(line) + LANE_WIDTH / 2 - nearX) < Math.abs(laneToX(best) + LANE_WIDTH / 2 - nearX)) best = line;
+    }
+    return best;
+  }
+
+  // km/h — its own cruise, or quick enough to run past the player
+  _sirenSpeed(car, playerSpeed) {
+    const cruise = car.userData.cruise * this._weatherFactor();
+    return Math.min(SIREN_MAX, Math.max(cruise, playerSpeed + SIREN_OVERTAKE));
+  }
+
+  // Down the middle of the corridor; re-routed when a closure ahead squeezes it.
+  // With no line left open it falls back to the nearest open lane until one is.
+  _updateSiren(car, dt) {
+    const d = car.userData;
+    const ahead = car.position.z + MERGE_AHEAD / 2;
+    if (d.corridorLane || !this._lanes.laneOpen(d.corridor, ahead) || !this._lanes.laneOpen(d.corridor + 1, ahead)) {
+      const line = this._pickCorridor(ahead, car.position.x);
+      d.corridorLane = line === null;
+      d.corridor = line ?? this._nearestLane(car.position.x, ahead, 1, d.corridor);
+    }
+    d.lane = d.targetLane = d.corridor;
+
+    const tx = laneToX(d.corridor) + (d.corridorLane ? 0 : LANE_WIDTH / 2);
+    car.position.x += (tx - car.position.x) * dt * 1.5;
+    car.rotation.y *= 1 - Math.min(1, 3 * dt);
+  }
+
+  // Pull aside (yieldSide -1 left, 1 right) for a siren coming up behind
+  _updateYield(car) {
+    const d = car.userData;
+    d.yieldSide = 0;
+    d.yieldBlocking = false;
+    for (const s of this._sirens) {
+      const dz = car.position.z - s.position.z;
+      const dx = car.position.x - s.position.x;
+      // Hold the side until the siren's tail is past
+      const range = Math.max(YIELD_RANGE, (s.userData.speed - d.speed) / 3.6 * YIELD_TIME);
+      if (dz < -(s.userData.halfL + d.halfL) || dz > range) continue;
+      if (Math.abs(dx) > LANE_WIDTH + d.halfW) continue;
+      // Dead ahead of it — toward the nearer edge
+      d.yieldSide = Math.abs(dx) > 0.5 ? Math.sign(dx) : (car.position.x < 0 ? -1 : 1);
+      d.yieldBlocking = dz > 0 && Math.abs(dx) < LANE_WIDTH / 2;
+      return;
+    }
+  }
+
+  // Keep _pursuitUnits police on the player's tail, one joining at a time
+  _updatePursuit(dt, playerZ, playerSpeed) {
+    let chasing = 0;   // bit per unit already on the road
     for (const car of this.pool) {
-      if (!car.userData.active) continue;
       const d = car.userData;
-      if (
-        Math.abs(px - car.position.x) < (pHalfW + d.halfW) * 0.85 &&
-        Math.abs(pz - car.position.z) < (pHalfL + d.halfL) * 0.85
-      ) {
-        return true;
+      if (!d.active || d.role !== 'chase') continue;
+      if (d.unit >= this._pursuitUnits) this._release(car);
+      else chasing |= 1 << d.unit;
+    }
+
+    this._pursuitTimer -= dt;
+    if (this._pursuitTimer > 0) return;
+    for (let unit = 0; unit < this._pursuitUnits; unit++) {
+      if (chasing & (1 << unit)) continue;
+      if (this._spawnChase(unit, playerZ, playerSpeed)) this._pursuitTimer = PURSUIT_SPAWN_GAP;
+      return;
+    }
+  }
+
+  _spawnChase(unit, playerZ, playerSpeed) {
+    const car = this._getInactive();
+    if (!car) return false;
+    const z = playerZ - SIREN_BEHIND;
+    const lane = this._nearestLane(this._playerX + (unit === 0 ? -1 : 1) * LANE_WIDTH, z, 1);
+    const x = laneToX(lane);
+    if (!this._roomAt(x, z, TRAFFIC_ROSTER.police.halfL)) return false;
+
+    this._activate(car, 'police', lane, x, z, 'chase');
+    car.userData.unit = unit;
+    car.userData.chaseSide = unit === 0 ? -1 : 1;
+    car.userData.chaseStuck = 0;
+    car.userData.chaseSpeed = car.userData.speed = Math.min(SIREN_MAX, playerSpeed + SIREN_OVERTAKE);
+    return true;
+  }
+
+  // Called off the chase — lights off, back to driving in a lane
+  _release(car) {
+    const d = car.userData;
+    d.role = 'traffic';
+    d.lane = d.targetLane = this._nearestLane(car.position.x, car.position.z, d.dir, d.lane);
+    d.lcTimer = 2;
+  }
+
+  // Police on the player's tail: unit 0 overtakes in the next lane and cuts in
+  // ahead as a rolling block, unit 1 rides alongside. Held up behind traffic
+  // they swap sides; with no lane beside the player they just sit behind.
+  _updateChase(car, dt) {
+    const d   = car.userData;
+    const z   = car.position.z;
+    const rel = z - this._playerZ;
+    const clear = d.halfL + this._playerHalfL + 2;
+    d.chaseStuck = d.braking ? d.chaseStuck + dt : 0;
+    if (d.chaseStuck > CHASE_STUCK && rel < -clear) {   // only from behind — never across the player
+      d.chaseSide = -d.chaseSide;
+      d.chaseStuck = 0;
+    }
+    const side = this._chaseSide(z, d.chaseSide, d.halfW);
+
+    let tx = this._playerX + side * LANE_WIDTH;
+    let station = d.unit === 0 ? clear + CHASE_BLOCK_AHEAD : 0;
+    if (side === 0) station = -(clear + IDM_MIN_GAP * 2);
+    else if (d.unit === 0 && rel > clear) tx = this._playerX;
+    else if (Math.abs(rel) < clear && Math.sign(car.position.x - this._playerX) !== side) {
+      // Alongside on the wrong side — drop back rather than cut across the player
+      tx = car.position.x;
+      station = -(clear + IDM_MIN_GAP * 2);
+    }
+
+    const lo = this._lanes.edgeAt(z, -1) + d.halfW;
+    const hi = this._lanes.edgeAt(z,  1) - d.halfW;
+    tx = Math.max(lo, Math.min(hi, tx));
+    car.position.x += (tx - car.position.x) * Math.min(1, CHASE_STEER * dt);
+    car.rotation.y *= 1 - Math.min(1, 3 * dt);
+    d.lane = d.targetLane = this._nearestLane(car.position.x, z, 1, d.lane);
+
+    const close = Math.max(-CHASE_DROP, Math.min(CHASE_CLOSE, (station - rel) * CHASE_GAIN));
+    d.chaseSpeed = Math.min(SIREN_MAX, this._playerSpeed + close);
+  }
+
+  // Side of the player (-1/1) with a lane's room for a unit, trying `prefer` first; 0 if neither
+  _chaseSide(z, prefer, halfW) {
+    for (const side of [prefer, -prefer]) {
+      const x = this._playerX + side * LANE_WIDTH;
+      if (x - halfW > this._lanes.edgeAt(z, -1) && x + halfW < this._lanes.edgeAt(z, 1)) return side;
+    }
+    return 0;
+  }
+
+  _setBeacons(car, phase) {
+    const d = car.userData;
+    if (d.beaconPhase === phase) return;
+    d.beaconPhase = phase;
+    for (const b of d.beacons) b.material = BEACON_MATS[b.userData.phase][b.userData.phase === phase ? 1 : 0];
+  }
+
+  /** Metres to the nearest pursuing police unit, Infinity if none. */
+  pursuitRange(pz) {
+    let range = Infinity;
+    for (const car of this.pool) {
+      if (car.userData.active && car.userData.role === 'chase') range = Math.min(range, Math.abs(car.position.z - pz));
+    }
+    return range;
+  }
+
+  /**
+   * Player hemmed in by a police pursuit: blocked ahead and on both sides —
+   * by cars or the road edge — with a pursuing unit among the blockers.
+   * Uses the player's size from the last update().
+   * @param {number} px — player position
+   * @param {number} pz
+   * @returns {boolean}
+   */
+  boxedIn(px, pz) {
+    let left  = px - this._lanes.edgeAt(pz, -1) < LANE_WIDTH * 0.75;
+    let right = this._lanes.edgeAt(pz, 1) - px < LANE_WIDTH * 0.75;
+    let ahead = false;
+    let police = false;
+    for (const car of this.pool) {
+      const d = car.userData;
+      if (!d.active) continue;
+      const dx = car.position.x - px;
+      const dz = car.position.z - pz;
+      let blocks = false;
+      if (Math.abs(dx) < d.halfW + this._playerHalfW) {
+        if (dz > 0 && dz - d.halfL - this._playerHalfL < BOX_AHEAD_GAP) ahead = blocks = true;
+      } else if (Math.abs(dz) < d.halfL + this._playerHalfL && Math.abs(dx) < d.halfW + this._playerHalfW + BOX_SIDE_GAP) {
+        if (dx < 0) left = true; else right = true;
+        blocks = true;
       }
+      if (blocks && d.role === 'chase') police = true;
     }
-    return false;
+    return left && right && ahead && police;
+  }
+
+  /**
+   * Overlap test against every active car.
+   * @param {number} px — player position
+   * @param {number} pz
+   * @param {{ x, z, halfW, halfL }[]} boxes — player hitboxes, offset from (px, pz) (see Hitbox.js)
+   * @param {number} [playerSpeed] — km/h, for the contact's closing speed
+   * @returns {object|null} contact with the first overlapping car, or null:
+   *   { car, type, side, ahead, depth, overlapX, overlapZ, relSpeed }
+   *   type     — 'side' (side-swipe) | 'rear' (rear-end) | 'head-on' (car driving at us)
+   *   side     — -1 car is left of the player, +1 right
+   *   ahead    — car is in front of the player
+   *   depth    — overlap along the contact axis, metres
+   *   relSpeed — closing speed, km/h
+   */
+  checkCollision(px, pz, boxes, playerSpeed = 0) {
+    for (const car of this.pool) {
+      if (!car.userData.active || car.userData.hitCooldown > 0) continue;
+      const d = car.userData;
+      for (const b of boxes) {
+        const dx = car.position.x - (px + b.x);
+        const dz = car.position.z - (pz + b.z);
+        const limX = (b.halfW + d.halfW) * 0.85;
+        const limZ = (b.halfL + d.halfL) * 0.85;
+        const overlapX = limX - Math.abs(dx);
+        const overlapZ = limZ - Math.abs(dz);
+        if (overlapX <= 0 || overlapZ <= 0) continue;
+
+        // The shallower overlap (relative to the box) is the face that was crossed
+        const sideHit  = overlapX / limX < overlapZ / limZ;
+        const relSpeed = Math.abs(playerSpeed - d.speed);
+        return {
+          car,
+          type:     sideHit ? 'side' : (d.speed < 0 ? 'head-on' : 'rear'),
+          side:     dx < 0 ? -1 : 1,
+          ahead:    dz > 0,
+          depth:    sideHit ? overlapX : overlapZ,
+          overlapX,
+          overlapZ,
+          relSpeed,
+        };
+      }
+    }
+    return null;
+  }
+
+  /** Knock a car the player hit (damage model) out of its lane. */
+  knock(contact) {
+    const d = contact.car.userData;
+    const strength = Math.min(1, contact.relSpeed / 80);
+    d.knockVX = contact.side * (contact.type === 'side' ? 5 + 6 * strength : 2 + 4 * strength);
+    d.knockSpin = d.knockVX * 0.12 * (contact.ahead ? 1 : -1);
+    d.knockTimer  = KNOCK_TIME;
+    d.hitCooldown = HIT_COOLDOWN;
+    d.nearMissCounted = true;   // no bonus for a car you just hit
+    this._signal(contact.car, null);
+    if (contact.type === 'rear') {
+      // Shunted along by whoever was faster, then eases back to cruising
+      d.speed += (contact.ahead ? 0.5 : -0.5) * contact.relSpeed;
+      const [min, max] = TRAFFIC_ROSTER[d.type].speed;
+      d.speed  = Math.max(min * 0.5, Math.min(max * 1.5, d.speed));
+    }
+  }
+
+  // ---- Fixed-step interpolation (see CarController) ----
+  snapshot() {
+    for (const car of this.pool) {
+      if (!car.userData.active) continue;
+      car.userData.prevX = car.position.x;
+      car.userData.prevZ = car.position.z;
+    }
+  }
+
+  interpolate(alpha) {
+    if (this._interpolated) return;
+    for (const car of this.pool) {
+      if (!car.userData.active) continue;
+      const d = car.userData;
+      d.simX = car.position.x;
+      d.simZ = car.position.z;
+      car.position.x = d.prevX + (d.simX - d.prevX) * alpha;
+      car.position.z = d.prevZ + (d.simZ - d.prevZ) * alpha;
+    }
+    this._interpolated = true;
+  }
+
+  restore() {
+    if (!this._interpolated) return;
+    for (const car of this.pool) {
+      if (!car.userData.active) continue;
+      car.position.x = car.userData.simX;
+      car.position.z = car.userData.simZ;
+    }
+    this._interpolated = false;
   }
 
   reset() {
+    this._interpolated = false;
     for (const car of this.pool) {
       car.visible = false;
       car.userData.active = false;
+      car.userData.role = 'traffic';
+      this._setBraking(car, false);
+      this._signal(car, null);
+      this._setBeacons(car, -1);
     }
     this.spawnAccum = 0;
+    this._sirenTimer = this._nextSirenGap();
+    this._pursuitUnits = 0;
+    this._pursuitTimer = 0;
+  }
+
+  // ---- Night lighting: 0 daylight → 1 night (World.lightLevel) ----
+  setLightLevel(level) {
+    tlMat.emissiveIntensity = 0.3 + level * 1.7;
+    tailGlowMat.opacity = level * 0.8;
+    headGlowMat.opacity = level * 0.9;
+    brakeMat.emissiveIntensity = 2 + level * 1.5;
+    brakeGlowMat.opacity = 0.35 + level * 0.6;
   }
 
   // ---- Toggle visibility of all traffic (for editor mode) ----
@@ -0,0 +1,75 @@
+// VehicleStats.js — Performance stats for custom builds + garage stat bars
+// Stock vehicles list their stats in CarController's STOCK_VEHICLES. Custom
+// builds derive theirs from the parts: mass from volume, drag from frontal
+// area, tuned so a chassis about the size of the sports car drives like it.
+
+import * as THREE from 'three';
+
+// How much of a part's bounding box its shape fills
+const FILL = {
+  BoxGeometry:      1,
+  CylinderGeometry: Math.PI / 4,
+  SphereGeometry:   Math.PI / 6,
+};
+
+// Reference build ≈ the stock sports car
+const REF_VOLUME = 5.0;   // m³
+const REF_AREA   = 2.6;   // m², frontal
+const REF = { topSpeed: 280, accel: 48, brake: 65, lateralSpeed: 14, nitroCapacity: 100 };
+
+/** Garage bars: stat key, label and the range a full bar represents. */
+export const STAT_BARS = [
+  { key: 'topSpeed',      label: 'TOP SPEED', min: 180, max: 320 },
+  { key: 'accel',         label: 'ACCEL',     min: 25,  max: 75  },
+  { key: 'brake',         label: 'BRAKING',   min: 35,  max: 90  },
+  { key: 'lateralSpeed',  label: 'HANDLING',  min: 8,   max: 18  },
+  { key: 'nitroCapacity', label: 'NITRO',     min: 60,  max: 160 },
+];
+
+const _box  = new THREE.Box3();
+const _size = new THREE.Vector3();
+
+function clamp(v, bar) {
+  const b = STAT_BARS.find(s => s.key === bar);
+  return Math.round(Math.max(b.min, Math.min(b.max, v)) * 10) / 10;
+}
+
+/**
+ * Stats for a custom build from the meshes directly under `group`.
+ * @param {THREE.Group} group — editor.getCustomCarGroup() or the player's group
+ * @returns {{ topSpeed, accel, brake, lateralSpeed, nitroCapacity }}
+ */
+export function deriveCustomStats(group) {
+  let volume = 0;
+  const bounds = new THREE.Box3();
+
+  for (const child of group.children) {
+    if (!child.isMesh || !child.geometry) continue;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    child.updateMatrix();
+    _box.copy(child.geometry.boundingBox).applyMatrix4(child.matrix);
+    if (_box.isEmpty()) continue;
+    bounds.union(_box);
+
+    // Volume from the untransformed box × scale, so rotation doesn't inflate it
+    child.geometry.boundingBox.getSize(_size);
+    const s = child.scale;
+    volume += _size.x * _size.y * _size.z * Math.abs(s.x * s.y * s.z)
+      * (FILL[child.geometry.type] ?? 1);
+  }
+
+  if (bounds.isEmpty() || volume <= 0) return { ...REF };
+
+  bounds.getSize(_size);
+  const area  = Math.max(0.2, _size.x * _size.y);
+  const mass  = Math.max(0.2, volume / REF_VOLUME);   // 1 = sports-car mass
+  const drag  = area / REF_AREA;                      // 1 = sports-car drag
+
+  return {
+    topSpeed:      clamp(REF.topSpeed * Math.pow(drag, -0.35), 'topSpeed'),
+    accel:         clamp(REF.accel / Math.pow(mass, 0.6), 'accel'),
+    brake:         clamp(REF.brake / Math.pow(mass, 0.4), 'brake'),
+    lateralSpeed:  clamp(REF.lateralSpeed / Math.pow(mass, 0.3), 'lateralSpeed'),
+    nitroCapacity: clamp(REF.nitroCapacity * Math.pow(mass, 0.4), 'nitroCapacity'),
+  };
+}
@@ -1,18 +1,27 @@
 import * as THREE from 'three';
+import { createRng } from './Random.js';
+import { RoadPath } from './RoadPath.js';
+import { LaneLayout, LANE_SLOTS, LANE_WIDTH, laneToX } from './LaneLayout.js';
+import { Scenery, biomeForTheme } from './Scenery.js';
 
 // ---- Constants ----
-export const LANE_COUNT = 4;
-export const LANE_WIDTH = 3.8;
-export const ROAD_WIDTH = LANE_COUNT * LANE_WIDTH + 4;
+// Lanes are per-segment data now (LaneLayout.js); these re-exports keep the old imports working
+export { LANE_SLOTS, LANE_WIDTH, laneToX };
+export const SHOULDER   = 2;   // tarmac between the outermost open lane and the barrier
+export const ROAD_WIDTH = LANE_SLOTS * LANE_WIDTH + SHOULDER * 2;   // widest stretch
 export const ROAD_HALF  = ROAD_WIDTH / 2;
 export const SEGMENT_LEN = 60;
 const SEGMENT_POOL = 24;
-
-export function laneToX(lane) {
-  return (lane - (LANE_COUNT - 1) / 2) * LANE_WIDTH;
-}
+const BEND_STEPS   = 10;   // lengthwise subdivisions of the parts baked onto the curve
+const DASH_LEN = 3, DASH_GAP = 4;
+const DIVIDERS = [0, 1, 3, 4];   // dashed lines right of these lanes; 2|3 is the double-yellow
+const DASHES_PER_SEGMENT = DIVIDERS.length * Math.ceil(SEGMENT_LEN / (DASH_LEN + DASH_GAP));
+const CONES_PER_SIDE = 10;
 
 // ---- Theme definitions ----
+// `lights` is how dark it is, 0 (daylight) → 1 (night): it drives lamp glow,
+// headlights and tail-light glow (see _applyLightLevel). `weather` lists the
+// conditions the map rolls between, one spell at a time (see WEATHER_EFFECTS).
 const THEMES = {
   snow: {
     sky:        0xc8d8e8,
@@ -26,7 +35,8 @@ const THEMES = {
     hemiIntensity: 0.4,
     road:       0x6a6a70,
     exposure:   0.9,
-    weather:    'snow',
+    weather:    ['snow', 'snow', 'fog'],
+    lights:     0,
   },
   desert: {
     sky:        0xdec89a,
@@ -40,7 +50,8 @@ const THEMES = {
     hemiIntensity: 0.45,
     road:       0x555550,
     exposure:   1.1,
-    weather:    'none',
+    weather:    ['none', 'none', 'sandstorm'],
+    lights:     0,
   },
   rain: {
     sky:        0x444455,
@@ -54,7 +65,8 @@ const THEMES = {
     hemiIntensity: 0.3,
     road:       0x222228,
     exposure:   0.65,
-    weather:    'rain',
+    weather:    ['rain', 'rain', 'thunderstorm'],
+    lights:     0.4,
   },
   day: {
     sky:        0x87CEEB,
@@ -68,20 +80,186 @@ const THEMES = {
     hemiIntensity: 0.4,
     road:       0x333338,
     exposure:   1.0,
-    weather:    'none',
+    weather:    ['none', 'none', 'fog'],
+    lights:     0,
+  },
+  night: {
+    sky:        0x0a1028,
+    fogColor:   0x0a1028,
+    fogDensity: 0.004,
+    sunColor:   0x8899cc,   // moonlight
+    sunIntensity: 0.25,
+    ambientIntensity: 0.15,
+    hemiSky:    0x223355,
+    hemiGround: 0x111118,
+    hemiIntensity: 0.2,
+    road:       0x2a2a30,
+    exposure:   0.9,
+    weather:    ['none', 'fog'],
+    lights:     1,
+  },
+  // Only reached through the Day/Night cycle
+  dusk: {
+    sky:        0xe88a60,
+    fogColor:   0xe88a60,
+    fogDensity: 0.0025,
+    sunColor:   0xff9a55,
+    sunIntensity: 0.7,
+    ambientIntensity: 0.35,
+    hemiSky:    0xf0a070,
+    hemiGround: 0x443344,
+    hemiIntensity: 0.35,
+    road:       0x333338,
+    exposure:   0.9,
+    weather:    ['none'],
+    lights:     0.55,
+  },
+  dawn: {
+    sky:        0xf0b8a0,
+    fogColor:   0xf0b8a0,
+    fogDensity: 0.0028,
+    sunColor:   0xffc890,
+    sunIntensity: 0.8,
+    ambientIntensity: 0.4,
+    hemiSky:    0xffc0a0,
+    hemiGround: 0x555566,
+    hemiIntensity: 0.35,
+    road:       0x333338,
+    exposure:   0.95,
+    weather:    ['none'],
+    lights:     0.35,
   },
 };
 
 const DYNAMIC_ORDER = ['day', 'rain', 'snow', 'desert'];
-const DYNAMIC_INTERVAL = 25;  // seconds between weather transitions
+const SCENERY_BLEND_TIME = 12;   // s for newly placed roadside to fully switch biome
+const DYNAMIC_INTERVAL = 25;  // seconds between theme transitions
+
+// ---- Weather ----
+// Every WEATHER_SPELL s the map rolls its next weather from the theme's list,
+// at an intensity (0–1) between WEATHER_PEAK. Intensity fades WEATHER_FADE per
+// second, and the old weather fades out completely before the next fades in.
+//
+// Values are at full intensity. The drive (World.weather): brake and lateral
+// scale the player's stats, slide is how long (s) sideways motion lags the
+// stick, traffic scales everyone else's cruising speed. The look: which
+// particle system falls, fog added to the theme's, the colour sky and fog are
+// tinted toward, and wind (m/s of sideways drift). Fog banks roll in every
+// fogGap[0]–fogGap[1] s whatever the weather, just more often in bad.
+const WEATHER_EFFECTS = {
+  none: {
+    brake: 1,    lateral: 1,    slide: 0,    traffic: 1,
+    particles: null,   fog: 0,     tint: null,     wind: 0,   fogGap: [70, 140],
+  },
+  rain: {
+    brake: 0.7,  lateral: 0.8,  slide: 0,    traffic: 0.85,
+    particles: 'rain', fog: 0,     tint: null,     wind: 2.5, fogGap: [35, 70],
+  },
+  thunderstorm: {
+    brake: 0.6,  lateral: 0.75, slide: 0.1,  traffic: 0.75,
+    particles: 'rain', fog: 0.004, tint: 0x23262f, wind: 9,   fogGap: [35, 70],
+  },
+  snow: {
+    brake: 0.6,  lateral: 0.75, slide: 0.35, traffic: 0.75,
+    particles: 'snow', fog: 0,     tint: null,     wind: 1,   fogGap: [30, 60],
+  },
+  sandstorm: {
+    brake: 0.85, lateral: 0.8,  slide: 0.15, traffic: 0.7,
+    particles: 'sand', fog: 0.02,  tint: 0xc08a50, wind: 22,  fogGap: [90, 160],
+  },
+  fog: {
+    brake: 1,    lateral: 1,    slide: 0,    traffic: 0.7,
+    particles: null,   fog: 0.03,  tint: 0xb8bcc2, wind: 0,   fogGap: [90, 160],
+  },
+};
+const WEATHER_SPELL    = [30, 60];    // s per roll of the weather
+const WEATHER_PEAK     = [0.5, 1];    // intensity a spell builds to
+const WEATHER_FADE     = 0.2;         // intensity per s — five seconds in or out
+const WEATHER_TINT     = 0.75;        // how far a full-strength tint pulls the sky (by day)
+const FOG_BANK_LENGTH  = [6, 12];     // s to thicken and clear again
+const FOG_BANK_DENSITY = 0.02;        // extra fog at a bank's thickest
+
+// Thunderstorm strikes: a gap shortened by intensity, then a flash that
+// lights the scene through lightningLight and whitens the sky
+const LIGHTNING_GAP       = [3, 9];   // s at full intensity
+const LIGHTNING_INTENSITY = 4;
+const LIGHTNING_OFFSET    = new THREE.Vector3(-30, 80, 40);   // relative to the player
+
+// Day/Night map: one full day every DAY_CYCLE_LENGTH s. Phase 0 = noon,
+// 0.5 = midnight; the sky blends between the neighbouring keyframes.
+const DAY_CYCLE_LENGTH = 120;
+const DAY_CYCLE = [
+  { at: 0,    theme: 'day'   },
+  { at: 0.2,  theme: 'day'   },
+  { at: 0.32, theme: 'dusk'  },
+  { at: 0.42, theme: 'night' },
+  { at: 0.72, theme: 'night' },
+  { at: 0.84, theme: 'dawn'  },
+  { at: 0.95, theme: 'day'   },
+  { at: 1,    theme: 'day'   },
+];
+const THEME_COLOR_KEYS = ['sky', 'fogColor', 'sunColor', 'hemiSky', 'hemiGround', 'road'];
+const SUN_OFFSET = new THREE.Vector3(40, 60, 25);   // fixed-theme sun, relative to the player
+
+// Night lights — a fixed handful of real lights that follow the player (the
+// light count never changes, so shaders don't recompile); every other lamp
+// only fakes its pool of light with an additive decal on the road.
+const LAMP_LIGHTS          = 4;     // nearest two lamp pairs
+const LAMP_LIGHT_INTENSITY = 80;
+const HEADLIGHT_INTENSITY  = 160;
+const LAMP_POOL_OPACITY    = 0.5;
+
+// ============================================================
+//  GLOW TEXTURE — soft radial falloff for faked light (lamp pools, tail glow)
+// ============================================================
+let _glowTexture = null;
+
+export function glowTexture() {
+  if (_glowTexture) return _glowTexture;
+  const c = document.createElement('canvas');
+  c.width = c.height = 64;
+  const ctx = c.getContext('2d');
+  const grad = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+  grad.addColorStop(0, 'rgba(255,255,255,1)');
+  grad.addColorStop(0.4, 'rgba(255,255,255,0.45)');
+  grad.addColorStop(1, 'rgba(255,255,255,0)');
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, 64, 64);
+  _glowTexture = new THREE.CanvasTexture(c);
+  return _glowTexture;
+}
+
+/** Blend two theme configs — colours and numbers lerp, anything else snaps at the midpoint. */
+const _colA = new THREE.Color();
+const _colB = new THREE.Color();
+const _tint  = new THREE.Color();
+const _white = new THREE.Color(0xffffff);
+function blendThemes(a, b, t) {
+  const out = {};
+  for (const key of Object.keys(a)) {
+    if (THEME_COLOR_KEYS.includes(key)) {
+      out[key] = _colA.setHex(a[key]).lerp(_colB.setHex(b[key]), t).getHex();
+    } else if (typeof a[key] === 'number') {
+      out[key] = a[key] + (b[key] - a[key]) * t;
+    } else {
+      out[key] = t < 0.5 ? a[key] : b[key];
+    }
+  }
+  return out;
+}
 
 // ---- Shared geometries ----
-const roadGeo    = new THREE.PlaneGeometry(ROAD_WIDTH, SEGMENT_LEN);
+// Segment-long parts are cloned per segment and bent to the road (_bakePart)
+const roadGeo    = new THREE.PlaneGeometry(ROAD_WIDTH, SEGMENT_LEN, 1, BEND_STEPS);
 const dashGeo    = new THREE.PlaneGeometry(0.15, 3);
-const solidGeo   = new THREE.PlaneGeometry(0.2, SEGMENT_LEN);
-const barrierGeo = new THREE.BoxGeometry(0.3, 0.8, SEGMENT_LEN);
+const solidGeo   = new THREE.PlaneGeometry(0.2, SEGMENT_LEN, 1, BEND_STEPS);
+const barrierGeo = new THREE.BoxGeometry(0.3, 0.8, SEGMENT_LEN, 1, 1, BEND_STEPS);
 const poleGeo    = new THREE.CylinderGeometry(0.08, 0.08, 6, 6);
 const lampGeo    = new THREE.SphereGeometry(0.25, 6, 6);
+const lampPoolGeo = new THREE.PlaneGeometry(10, 10);
+const coneGeo    = new THREE.ConeGeometry(0.25, 0.7, 8);
+const gatePostGeo   = new THREE.BoxGeometry(0.5, 7, 0.5);
+const gateBannerGeo = new THREE.BoxGeometry(ROAD_WIDTH + 2.2, 1.2, 0.3);
 
 // ---- Toon materials ----
 const asphaltMat = new THREE.MeshToonMaterial({ color: 0x333338 });
@@ -89,21 +267,37 @@ const dashMat    = new THREE.MeshToonMaterial({ color: 0xffffff });
 const yellowMat  = new THREE.MeshToonMaterial({ color: 0xffcc00 });
 const edgeMat    = new THREE.MeshToonMaterial({ color: 0xffffff });
 const barrierMat = new THREE.MeshToonMaterial({ color: 0x888888 });
+const coneMat    = new THREE.MeshToonMaterial({ color: 0xff6a00, emissive: 0x331100 });
 const poleMat    = new THREE.MeshToonMaterial({ color: 0x666666 });
 const lampMat    = new THREE.MeshToonMaterial({ color: 0xffffcc, emissive: 0xffffaa, emissiveIntensity: 0.3 });
+const lampPoolMat = new THREE.MeshBasicMaterial({
+  map: glowTexture(), color: 0xffcc88, transparent: true, opacity: 0,
+  blending: THREE.AdditiveBlending, depthWrite: false,
+});
 const cloudMat   = new THREE.MeshToonMaterial({ color: 0xeeeeee });
+const gateMat       = new THREE.MeshToonMaterial({ color: 0xff8800, emissive: 0xff6600, emissiveIntensity: 0.5 });
+const gatePassedMat = new THREE.MeshToonMaterial({ color: 0x33ff66, emissive: 0x22cc44, emissiveIntensity: 0.5 });
+
+// Scratch objects for baking segments onto the road
+const _partMatrix = new THREE.Matrix4();
+const _roadQuat   = new THREE.Quaternion();
+const _v          = new THREE.Vector3();
+const _n          = new THREE.Vector3();
+const _unitScale  = new THREE.Vector3(1, 1, 1);
+const _instQuat   = new THREE.Quaternion();
+const _flatQuat   = new THREE.Quaternion().setFromEuler(new THREE.Euler(-Math.PI / 2, 0, 0));
 
 // ============================================================
 //  WEATHER PARTICLE SYSTEMS
 // ============================================================
 const PARTICLE_COUNT = 3000;
 
-function createSnowParticles() {
+function createSnowParticles(rng) {
   const positions = new Float32Array(PARTICLE_COUNT * 3);
   for (let i = 0; i < PARTICLE_COUNT; i++) {
-    positions[i * 3]     = (Math.random() - 0.5) * 80;
-    positions[i * 3 + 1] = Math.random() * 40;
-    positions[i * 3 + 2] = (Math.random() - 0.5) * 120;
+    positions[i * 3]     = (rng() - 0.5) * 80;
+    positions[i * 3 + 1] = rng() * 40;
+    positions[i * 3 + 2] = (rng() - 0.5) * 120;
   }
   const geo = new THREE.BufferGeometry();
   geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -117,13 +311,13 @@ function createSnowParticles() {
   return new THREE.Points(geo, mat);
 }
 
-function createRainParticles() {
+function createRainParticles(rng) {
   // Rain uses elongated vertical streaks via size + sizeAttenuation
   const positions = new Float32Array(PARTICLE_COUNT * 3);
   for (let i = 0; i < PARTICLE_COUNT; i++) {
-    positions[i * 3]     = (Math.random() - 0.5) * 80;
-    positions[i * 3 + 1] = Math.random() * 50;
-    positions[i * 3 + 2] = (Math.random() - 0.5) * 120;
+    positions[i * 3]     = (rng() - 0.5) * 80;
+    positions[i * 3 + 1] = rng() * 50;
+    positions[i * 3 + 2] = (rng() - 0.5) * 120;
   }
   const geo = new THREE.BufferGeometry();
   geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -152,6 +346,26 @@ function createRainParticles() {
   return new THREE.Points(geo, mat);
 }
 
+function createSandParticles(rng) {
+  // Low, fast-blown grit — wind carries it across the road
+  const positions = new Float32Array(PARTICLE_COUNT * 3);
+  for (let i = 0; i < PARTICLE_COUNT; i++) {
+    positions[i * 3]     = (rng() - 0.5) * 80;
+    positions[i * 3 + 1] = rng() * 18;
+    positions[i * 3 + 2] = (rng() - 0.5) * 120;
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  const mat = new THREE.PointsMaterial({
+    color: 0xd8b078,
+    size: 0.5,
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false,
+  });
+  return new THREE.Points(geo, mat);
+}
+
 // ============================================================
 //  PROCEDURAL CLOUDS
 // ============================================================
@@ -161,24 +375,24 @@ const CLOUD_SPREAD_Z = 600;
 const CLOUD_MIN_Y = 40;
 const CLOUD_MAX_Y = 75;
 
-function createCloudCluster() {
+function createCloudCluster(rng) {
   const group = new THREE.Group();
   // Each cloud is a cluster of 4-8 merged spheres
-  const count = 4 + Math.floor(Math.random() * 5);
+  const count = 4 + Math.floor(rng() * 5);
   for (let i = 0; i < count; i++) {
-    const r = 3 + Math.random() * 5;
+    const r = 3 + rng() * 5;
     const geo = new THREE.SphereGeometry(r, 8, 6);
     const mat = cloudMat.clone();
     // Vary brightness slightly for depth
-    const shade = 0.85 + Math.random() * 0.15;
+    const shade = 0.85 + rng() * 0.15;
     mat.color.setRGB(shade, shade, shade);
     const sphere = new THREE.Mesh(geo, mat);
     sphere.position.set(
-      (Math.random() - 0.5) * 8,
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 6
+      (rng() - 0.5) * 8,
+      (rng() - 0.5) * 2,
+      (rng() - 0.5) * 6
     );
-    sphere.scale.y = 0.5 + Math.random() * 0.3; // flatten vertically
+    sphere.scale.y = 0.5 + rng() * 0.3; // flatten vertically
     group.add(sphere);
   }
   return group;
@@ -187,8 +401,21 @@ function createCloudCluster() {
 // ============================================================
 
 export class World {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {() => number} [rng] — seedable PRNG (see Random.js); defaults to Math.random
+   */
+  constructor(scene, rng) {
     this.scene = scene;
+    this.rng   = Math.random;
+    this._fxRng = Math.random;   // per-frame particle draws — kept off the scenery stream
+    this._weatherRng = Math.random;   // fog banks — drawn in simulation ticks only
+    this.road  = new RoadPath(SEGMENT_LEN);   // road space → world space (RoadPath.js)
+    this.lanes = new LaneLayout(SEGMENT_LEN); // open lanes per segment (LaneLayout.js)
+    this.scenery = new Scenery(scene, this.road, this.lanes, {
+      poolSize: SEGMENT_POOL, segmentLen: SEGMENT_LEN, shoulder: SHOULDER, glowMap: glowTexture(),
+    });
+    this.setRng(rng || Math.random);
     this.segments = [];
     this.sunLight = null;
     this.ambientLight = null;
@@ -198,19 +425,53 @@ export class World {
     this.theme = 'day';
     this._dynamicTimer = 0;
     this._dynamicIndex = 0;
+    this._cycleTime    = 0;          // Day/Night map clock (s)
+    this._sunOffset    = SUN_OFFSET.clone();
+    this._lightLevel   = 0;          // 0 daylight → 1 night, see THEMES.lights
+    // Roadside biome: segments placed while `mix` ramps 0 → 1 blend from → to
+    this._biome = { from: 'city', to: 'city', mix: 1 };
+
+    // Night lights (built in _buildLighting)
+    this._lampLights = [];
+    this.headlight   = null;
 
-    // Weather
-    this._snowParticles = null;
-    this._rainParticles = null;
-    this._activeWeather = 'none';
+    // Weather — `weather` is what the drive feels (stepWeather), the rest is the look
+    this.weather = { type: 'none', intensity: 0, brake: 1, lateral: 1, slide: 0, traffic: 1, fog: 0 };
+    this._spell   = { next: 'none', peak: 0, wait: 0 };   // weather fading in, and for how long
+    this._fogBank = { wait: 0, time: 0, length: 0 };
+    this._skyColor   = new THREE.Color(0x87CEEB);   // theme sky and fog before the weather
+    this._fogColor   = new THREE.Color(0x87CEEB);
+    this._fogDensity = 0.0022;
+    this._particles  = {};                         // snow / rain / sand Points
+    this._lightning  = { wait: 0, time: Infinity };
+    this._flash      = 0;                          // 0 → 1 at a lightning strike
+    this._visible    = true;
 
     // Clouds
     this._clouds = [];
 
+    // Checkpoint gates — every Nth segment carries one; 0 = no gates
+    this._gateInterval   = 0;
+    this._lastPassedGate = -Infinity;   // z of the last gate driven through
+
     this._buildLighting();
     this._buildSegmentPool();
     this._buildWeather();
     this._buildClouds();
+    this._resetWeather();
+  }
+
+  // ---- Seeded randomness ----
+  setRng(rng) {
+    this.rng = rng;
+    // Particle resets happen per frame, so they get their own stream seeded
+    // from this one; otherwise frame rate would shift cloud placement.
+    this._fxRng = rng === Math.random ? Math.random : createRng(rng() * 4294967296);
+    // The bends get a seed too, so a seed fixes the road's shape (applied on reset)
+    this.road.setSeed(rng === Math.random ? null : Math.floor(rng() * 4294967296));
+    this.lanes.setSeed(rng === Math.random ? null : Math.floor(rng() * 4294967296));
+    this.scenery.setSeed(rng === Math.random ? null : Math.floor(rng() * 4294967296));
+    this._weatherRng = rng === Math.random ? Math.random : createRng(rng() * 4294967296);
   }
 
   _buildLighting() {
@@ -231,6 +492,22 @@ export class World {
     this.scene.add(this.sunLight);
     this.scene.add(this.sunLight.target);
 
+    for (let i = 0; i < LAMP_LIGHTS; i++) {
+      const light = new THREE.PointLight(0xffd9a0, 0, 30, 1.6);
+      this._lampLights.push(light);
+      this.scene.add(light);
+    }
+
+    // Lightning — dark until a thunderstorm strike; shares the sun's target
+    this.lightningLight = new THREE.DirectionalLight(0xcfd8ff, 0);
+    this.lightningLight.target = this.sunLight.target;
+    this.scene.add(this.lightningLight);
+
+    // Player headlights — one spot stands in for both lamps
+    this.headlight = new THREE.SpotLight(0xfff2d0, 0, 55, 0.42, 0.5, 1.4);
+    this.scene.add(this.headlight);
+    this.scene.add(this.headlight.target);
+
     this.fog = new THREE.FogExp2(0x87CEEB, 0.0022);
     this.scene.fog = this.fog;
     this.scene.background = new THREE.Color(0x87CEEB);
@@ -238,95 +515,236 @@ export class World {
 
   // ---- Weather ----
   _buildWeather() {
-    this._snowParticles = createSnowParticles();
-    this._snowParticles.visible = false;
-    this.scene.add(this._snowParticles);
+    this._particles.snow = createSnowParticles(this._fxRng);
+    this._particles.rain = createRainParticles(this._fxRng);
+    this._particles.sand = createSandParticles(this._fxRng);
+    for (const points of Object.values(this._particles)) {
+      points.visible = false;
+      this.scene.add(points);
+    }
+  }
 
-    this._rainParticles = createRainParticles();
-    this._rainParticles.visible = false;
-    this.scene.add(this._rainParticles);
+  /** Weather loud enough to hear — AudioEngine picks its ambience from this. */
+  get activeWeather() {
+    return this.weather.intensity > 0.15 ? this.weather.type : 'none';
   }
 
-  _setWeather(type) {
-    this._activeWeather = type;
-    this._snowParticles.visible = (type === 'snow');
-    this._rainParticles.visible = (type === 'rain');
+  // ---- Gameplay weather ----
+  /**
+   * Advance the weather the cars drive in by one simulation tick: the dynamic
+   * map's schedule, weather spells and their fades, and fog banks. Fixed
+   * ticks keep replays in the same weather; the look only follows it.
+   */
+  stepWeather(dt) {
+    if (this.theme === 'dynamic') {
+      this._dynamicTimer += dt;
+      if (this._dynamicTimer >= DYNAMIC_INTERVAL) {
+        this._dynamicTimer = 0;
+        this._dynamicIndex = (this._dynamicIndex + 1) % DYNAMIC_ORDER.length;
+        this._biome.from = this._biome.to;
+        this._biome.to   = biomeForTheme(DYNAMIC_ORDER[this._dynamicIndex]);
+        this._biome.mix  = 0;
+        this._rollWeather();   // the new theme's weather fades in
+      }
+    }
+
+    const w = this.weather, spell = this._spell;
+    if ((spell.wait -= dt) <= 0) this._rollWeather();
+
+    // The old weather fades out completely before the next one fades in
+    const fade = WEATHER_FADE * dt;
+    if (w.type !== spell.next) {
+      w.intensity = Math.max(0, w.intensity - fade);
+      if (w.intensity === 0) w.type = spell.next;
+    } else {
+      w.intensity += Math.max(-fade, Math.min(fade, spell.peak - w.intensity));
+    }
+
+    const bank = this._fogBank;
+    if (bank.time < bank.length) {
+      bank.time += dt;
+    } else if ((bank.wait -= dt) <= 0) {
+      const gap = WEATHER_EFFECTS[w.type].fogGap;
+      bank.time   = 0;
+      bank.length = FOG_BANK_LENGTH[0] + this._weatherRng() * (FOG_BANK_LENGTH[1] - FOG_BANK_LENGTH[0]);
+      bank.wait   = gap[0] + this._weatherRng() * (gap[1] - gap[0]);
+    }
+    this._syncWeather();
+  }
+
+  // The conditions this map rolls between; the Day/Night map gets the day's
+  _themeWeather() {
+    const theme = this.theme === 'dynamic' ? DYNAMIC_ORDER[this._dynamicIndex]
+      : this.theme === 'cycle' ? 'day'
+      : this.theme;
+    return (THEMES[theme] || THEMES.day).weather;
+  }
+
+  _rollWeather() {
+    const list = this._themeWeather();
+    const next = list[Math.floor(this._weatherRng() * list.length)];
+    const peak = WEATHER_PEAK[0] + this._weatherRng() * (WEATHER_PEAK[1] - WEATHER_PEAK[0]);
+    this._spell.next = next;
+    this._spell.peak = next === 'none' ? 0 : peak;
+    this._spell.wait = WEATHER_SPELL[0] + this._weatherRng() * (WEATHER_SPELL[1] - WEATHER_SPELL[0]);
+  }
+
+  // Effects scale from none at intensity 0 to WEATHER_EFFECTS at 1
+  _syncWeather() {
+    const w    = this.weather;
+    const fx   = WEATHER_EFFECTS[w.type];
+    const i    = w.intensity;
+    const bank = this._fogBank;
+    w.brake   = 1 + (fx.brake   - 1) * i;
+    w.lateral = 1 + (fx.lateral - 1) * i;
+    w.slide   = fx.slide * i;
+    w.traffic = 1 + (fx.traffic - 1) * i;
+    w.fog     = bank.time < bank.length ? Math.sin(Math.PI * bank.time / bank.length) : 0;
   }
 
+  // A run starts in the thick of its first spell rather than fading in
+  _resetWeather() {
+    this._rollWeather();
+    this.weather.type      = this._spell.next;
+    this.weather.intensity = this._spell.peak;
+
+    const gap = WEATHER_EFFECTS[this.weather.type].fogGap;
+    this._fogBank.time   = 0;
+    this._fogBank.length = 0;
+    this._fogBank.wait   = gap[0] + this._weatherRng() * (gap[1] - gap[0]);
+    this._lightning.time = Infinity;
+    this._syncWeather();
+  }
+
+  // ---- Weather look: particles, wind and lightning, every frame ----
   updateWeather(dt, playerX, playerZ) {
-    // ---- SNOW ----
-    if (this._activeWeather === 'snow') {
+    const { type, intensity } = this.weather;
+    const fx    = WEATHER_EFFECTS[type];
+    const wind  = fx.wind * intensity;
+    const count = Math.round(PARTICLE_COUNT * intensity);
+
+    // Only the first `count` particles are drawn, so intensity thins the fall
+    for (const [name, points] of Object.entries(this._particles)) {
+      points.visible = this._visible && fx.particles === name && count > 0;
+      if (!points.visible) continue;
+      points.geometry.setDrawRange(0, count);
       // Pin the particle system group to the player every frame.
-      // All particle positions are now in LOCAL space (offsets from player).
-      this._snowParticles.position.set(playerX, 0, playerZ);
+      // All particle positions are in LOCAL space (offsets from player).
+      this.road.toWorld(playerX, 0, playerZ, points.position);
+    }
 
-      const positions = this._snowParticles.geometry.attributes.position.array;
-      for (let i = 0; i < PARTICLE_COUNT; i++) {
+    // ---- SNOW ----
+    if (this._particles.snow.visible) {
+      const positions = this._particles.snow.geometry.attributes.position.array;
+      for (let i = 0; i < count; i++) {
         const i3 = i * 3;
-        // Fall + sine-wave X/Z drift (in local space)
+        // Fall + sine-wave X/Z drift (in local space), pushed along by the wind
         positions[i3 + 1] -= 3.5 * dt;
-        positions[i3]     += Math.sin(positions[i3 + 1] * 0.8 + i) * 0.6 * dt;
+        positions[i3]     += (Math.sin(positions[i3 + 1] * 0.8 + i) * 0.6 - wind) * dt;
         positions[i3 + 2] += Math.cos(positions[i3 + 1] * 0.5 + i * 0.7) * 0.3 * dt;
 
         // If particle drops below ground, instantly reset to the top of the sky
         if (positions[i3 + 1] < 0) {
-          positions[i3]     = (Math.random() - 0.5) * 80;   // local X offset
-          positions[i3 + 1] = 80 + Math.random() * 20;      // reset to top (y=80-100)
-          positions[i3 + 2] = (Math.random() - 0.5) * 120;  // local Z offset
+          positions[i3]     = (this._fxRng() - 0.5) * 80;   // local X offset
+          positions[i3 + 1] = 80 + this._fxRng() * 20;      // reset to top (y=80-100)
+          positions[i3 + 2] = (this._fxRng() - 0.5) * 120;  // local Z offset
         }
       }
       // Must be set every frame for the GPU buffer to update
-      this._snowParticles.geometry.attributes.position.needsUpdate = true;
+      this._particles.snow.geometry.attributes.position.needsUpdate = true;
     }
 
-    // ---- RAIN ----
-    if (this._activeWeather === 'rain') {
-      // Pin the rain group to the player every frame
-      this._rainParticles.position.set(playerX, 0, playerZ);
-
-      const positions = this._rainParticles.geometry.attributes.position.array;
-      for (let i = 0; i < PARTICLE_COUNT; i++) {
+    // ---- RAIN (and thunderstorms) ----
+    if (this._particles.rain.visible) {
+      const positions = this._particles.rain.geometry.attributes.position.array;
+      for (let i = 0; i < count; i++) {
         const i3 = i * 3;
-        // Fast vertical fall + slight forward drift (in local space)
+        // Fast vertical fall, slanted by the wind (in local space)
         positions[i3 + 1] -= 40 * dt;
-        positions[i3]     -= 2.5 * dt;
+        positions[i3]     -= wind * dt;
 
         // If particle drops below ground, instantly reset to the top of the sky
         if (positions[i3 + 1] < 0) {
-          positions[i3]     = (Math.random() - 0.5) * 80;   // local X offset
-          positions[i3 + 1] = 80 + Math.random() * 20;      // reset to top (y=80-100)
-          positions[i3 + 2] = (Math.random() - 0.5) * 120;  // local Z offset
+          positions[i3]     = (this._fxRng() - 0.5) * 80;   // local X offset
+          positions[i3 + 1] = 80 + this._fxRng() * 20;      // reset to top (y=80-100)
+          positions[i3 + 2] = (this._fxRng() - 0.5) * 120;  // local Z offset
         }
       }
       // Must be set every frame for the GPU buffer to update
-      this._rainParticles.geometry.attributes.position.needsUpdate = true;
+      this._particles.rain.geometry.attributes.position.needsUpdate = true;
     }
+
+    // ---- SAND ----
+    if (this._particles.sand.visible) {
+      const positions = this._particles.sand.geometry.attributes.position.array;
+      for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        // Blown sideways low over the road, bobbing as it goes
+        positions[i3]     -= wind * (0.7 + (i % 7) * 0.05) * dt;
+        positions[i3 + 1] += Math.sin(positions[i3] * 0.3 + i) * 1.5 * dt;
+
+        // Blown out of the box on one side — back in on the other
+        if (positions[i3] < -40) {
+          positions[i3]     = 40;
+          positions[i3 + 1] = this._fxRng() * 18;
+          positions[i3 + 2] = (this._fxRng() - 0.5) * 120;
+        }
+      }
+      this._particles.sand.geometry.attributes.position.needsUpdate = true;
+    }
+
+    this._updateLightning(dt, type === 'thunderstorm' ? intensity : 0);
+  }
+
+  // Thunderstorm strikes: bright flash, a flicker, then a fading afterglow
+  _updateLightning(dt, storm) {
+    const l = this._lightning;
+    l.time += dt;
+    if (storm > 0.3 && (l.wait -= dt) <= 0) {
+      l.time = 0;
+      l.wait = (LIGHTNING_GAP[0] + this._fxRng() * (LIGHTNING_GAP[1] - LIGHTNING_GAP[0])) / storm;
+    }
+    const t = l.time;
+    this._flash = t < 0.08 ? 1 : t < 0.16 ? 0.2 : Math.max(0, 0.8 - (t - 0.16) * 1.6);
+    this.lightningLight.intensity = this._flash * LIGHTNING_INTENSITY;
   }
 
   // ---- Clouds ----
   _buildClouds() {
     for (let i = 0; i < CLOUD_COUNT; i++) {
-      const cloud = createCloudCluster();
-      cloud.position.set(
-        (Math.random() - 0.5) * CLOUD_SPREAD_X,
-        CLOUD_MIN_Y + Math.random() * (CLOUD_MAX_Y - CLOUD_MIN_Y),
-        Math.random() * CLOUD_SPREAD_Z
-      );
+      const cloud = createCloudCluster(this.rng);
       this._clouds.push(cloud);
       this.scene.add(cloud);
     }
+    this._layoutClouds();
+  }
+
+  // Scatter clouds from the current rng — re-run on reset so a seed fixes the sky.
+  // Clouds live in road space (userData.roadPos) so they stay over the road.
+  _layoutClouds() {
+    for (const cloud of this._clouds) {
+      const p = cloud.userData.roadPos || (cloud.userData.roadPos = new THREE.Vector3());
+      p.set(
+        (this.rng() - 0.5) * CLOUD_SPREAD_X,
+        CLOUD_MIN_Y + this.rng() * (CLOUD_MAX_Y - CLOUD_MIN_Y),
+        this.rng() * CLOUD_SPREAD_Z
+      );
+      this.road.toWorld(p.x, p.y, p.z, cloud.position);
+    }
   }
 
   updateClouds(dt, playerZ) {
     for (const cloud of this._clouds) {
+      const p = cloud.userData.roadPos;
       // Drift slowly along Z
-      cloud.position.z += 4 * dt;
+      p.z += 4 * dt;
 
       // Recycle: if cloud drifts far behind player, move it ahead
-      if (cloud.position.z < playerZ - 100) {
-        cloud.position.z = playerZ + CLOUD_SPREAD_Z * 0.5 + Math.random() * 100;
-        cloud.position.x = (Math.random() - 0.5) * CLOUD_SPREAD_X;
+      if (p.z < playerZ - 100) {
+        p.z = playerZ + CLOUD_SPREAD_Z * 0.5 + this.rng() * 100;
+        p.x = (this.rng() - 0.5) * CLOUD_SPREAD_X;
       }
+      this.road.toWorld(p.x, p.y, p.z, cloud.position);
     }
   }
 
@@ -334,7 +752,8 @@ export class World {
   _buildSegmentPool() {
     for (let i = 0; i < SEGMENT_POOL; i++) {
       const seg = this._createSegment();
-      seg.position.z = i * SEGMENT_LEN;
+      seg.userData.slot = i;   // scenery instances owned by this segment
+      this._placeSegment(seg, i * SEGMENT_LEN);
       this.segments.push(seg);
       this.scene.add(seg);
     }
@@ -343,8 +762,8 @@ export class World {
   _createSegment() {
     const g = new THREE.Group();
 
-    // Road surface
-    const road = new THREE.Mesh(roadGeo, asphaltMat);
+    // Road surface — each side stretched out to its tarmac edge
+    const road = this._bendable(new THREE.Mesh(roadGeo, asphaltMat), 0, SHOULDER);
     road.rotation.x = -Math.PI / 2;
     road.position.y = 0.01;
     road.receiveShadow = true;
@@ -352,29 +771,28 @@ export class World {
 
     // Center double-yellow
     for (const off of [-0.2, 0.2]) {
-      const m = new THREE.Mesh(solidGeo, yellowMat);
+      const m = this._bendable(new THREE.Mesh(solidGeo, yellowMat));
       m.rotation.x = -Math.PI / 2;
       m.position.set(off, 0.02, 0);
       g.add(m);
     }
 
-    // Lane dashes
-    const dashLen = 3, dashGap = 4;
-    for (let lane = 1; lane < LANE_COUNT / 2; lane++) {
-      for (const side of [-1, 1]) {
-        const x = side * lane * LANE_WIDTH;
-        for (let d = -SEGMENT_LEN / 2; d < SEGMENT_LEN / 2; d += dashLen + dashGap) {
-          const m = new THREE.Mesh(dashGeo, dashMat);
-          m.rotation.x = -Math.PI / 2;
-          m.position.set(x, 0.02, d + dashLen / 2);
-          g.add(m);
-        }
-      }
-    }
+    // Lane dashes — one instanced mesh, laid out per lane layout in _placeLanes
+    const dashes = new THREE.InstancedMesh(dashGeo, dashMat, DASHES_PER_SEGMENT);
+    dashes.count = 0;
+    g.add(dashes);
+    g.userData.dashes = dashes;
 
-    // Edge lines
+    // Road works cones along closed lanes, likewise
+    const cones = new THREE.InstancedMesh(coneGeo, coneMat, CONES_PER_SIDE * 2);
+    cones.count = 0;
+    cones.castShadow = true;
+    g.add(cones);
+    g.userData.cones = cones;
+
+    // Edge lines — follow the open lanes, so they paint the merge tapers
     for (const side of [-1, 1]) {
-      const m = new THREE.Mesh(solidGeo, edgeMat);
+      const m = this._bendable(new THREE.Mesh(solidGeo, edgeMat), side, 0.5, false);
       m.rotation.x = -Math.PI / 2;
       m.position.set(side * (ROAD_HALF - 1.5), 0.02, 0);
       g.add(m);
@@ -382,63 +800,288 @@ export class World {
 
     // Barriers
     for (const side of [-1, 1]) {
-      const m = new THREE.Mesh(barrierGeo, barrierMat);
+      const m = this._bendable(new THREE.Mesh(barrierGeo, barrierMat), side, SHOULDER + 0.15);
       m.position.set(side * (ROAD_HALF + 0.15), 0.4, 0);
       m.castShadow = true;
       m.receiveShadow = true;
       g.add(m);
     }
 
-    // Lamp posts
+    // Lamp posts — kept a fixed distance outside the tarmac edge
     for (const side of [-1, 1]) {
-      const pole = new THREE.Mesh(poleGeo, poleMat);
+      const pole = this._anchored(new THREE.Mesh(poleGeo, poleMat), side, SHOULDER + 2);
       pole.position.set(side * (ROAD_HALF + 2), 3, 0);
       pole.castShadow = true;
       g.add(pole);
 
-      const lamp = new THREE.Mesh(lampGeo, lampMat);
+      const lamp = this._anchored(new THREE.Mesh(lampGeo, lampMat), side, SHOULDER + 2);
       lamp.position.set(side * (ROAD_HALF + 2), 6, 0);
       g.add(lamp);
+
+      // Faked pool of lamp light on the road — fades in with the light level
+      const pool = this._anchored(new THREE.Mesh(lampPoolGeo, lampPoolMat), side, 1);
+      pool.rotation.x = -Math.PI / 2;
+      pool.position.set(side * (ROAD_HALF - 1), 0.03, 0);
+      g.add(pool);
+    }
+
+    // Checkpoint gate — hidden unless this segment is a gate segment
+    const gate = new THREE.Group();
+    for (const side of [-1, 1]) {
+      const post = new THREE.Mesh(gatePostGeo, gateMat);
+      post.position.set(side * (ROAD_HALF + 1.1), 3.5, 0);
+      post.castShadow = true;
+      gate.add(post);
     }
+    const banner = new THREE.Mesh(gateBannerGeo, gateMat);
+    banner.position.set(0, 6.6, 0);
+    gate.add(banner);
+    gate.visible = false;
+    g.add(gate);
+    g.userData.gate = gate;
 
+    // Remember each part's layout relative to the segment centre, in road
+    // space; _placeSegment bends it onto the road wherever the segment goes
+    for (const child of g.children) {
+      child.userData.roadPos  = child.position.clone();
+      child.userData.roadQuat = child.quaternion.clone();
+    }
     return g;
   }
 
+  /**
+   * Give a segment-long part its own geometry so it can be bent to the curve.
+   * With `side` it also tracks the road edge (see _anchored); side 0 stretches
+   * each half of the part out to its own edge.
+   */
+  _bendable(mesh, side, offset, paved) {
+    mesh.userData.baseGeo = mesh.geometry;
+    mesh.geometry = mesh.geometry.clone();
+    if (side !== undefined) this._anchored(mesh, side, offset, paved);
+    return mesh;
+  }
+
+  /** Keep a part `offset` m outside the road edge on `side` as lanes open and close. */
+  _anchored(mesh, side, offset, paved = true) {
+    mesh.userData.edge = { side, offset, paved };
+    return mesh;
+  }
+
+  // ---- Road path: lay a segment along the curve at road distance z ----
+  _placeSegment(seg, z) {
+    seg.userData.z = z;
+    for (const part of seg.children) {
+      if (part.isInstancedMesh) continue;
+      if (part.userData.baseGeo) {
+        this._bakePart(part, z);
+      } else {
+        const p = part.userData.roadPos;
+        const x = this._anchoredX(part, p.x, z + p.z);
+        this.road.toWorld(x, p.y, z + p.z, part.position);
+        this.road.orientationAt(z + p.z, part.quaternion).multiply(part.userData.roadQuat);
+      }
+    }
+    this._placeLanes(seg, z);
+    this._placeScenery(seg);
+  }
+
+  // Each scenery group picks the old or new biome while a dynamic switch blends
+  _placeScenery(seg) {
+    const { from, to, mix } = this._biome;
+    this.scenery.place(seg.userData.slot, seg.userData.z, r => (r < mix ? to : from));
+  }
+
+  _resetBiome() {
+    const theme = this.theme === 'dynamic' ? DYNAMIC_ORDER[this._dynamicIndex] : this.theme;
+    const biome = biomeForTheme(theme);
+    this._biome.from = this._biome.to = biome;
+    this._biome.mix  = 1;
+  }
+
+  // Lateral position of an edge-anchored part's point at distance z
+  _anchoredX(part, x, z) {
+    const edge = part.userData.edge;
+    if (!edge) return x;
+    const local = x - part.userData.roadPos.x;
+    const side  = edge.side || Math.sign(local);
+    if (!edge.side) return this.lanes.edgeAt(z, side, edge.paved) + side * edge.offset;
+    return this.lanes.edgeAt(z, side, edge.paved) + side * edge.offset + local;
+  }
+
+  // Dashes between open lanes and cones along road works, for this segment's layout
+  _placeLanes(seg, z) {
+    const { dashes, cones } = seg.userData;
+    let n = 0;
+    for (const lane of DIVIDERS) {
+      const x = laneToX(lane) + LANE_WIDTH / 2;
+      for (let d = -SEGMENT_LEN / 2; d < SEGMENT_LEN / 2; d += DASH_LEN + DASH_GAP) {
+        const dz = z + d + DASH_LEN / 2;
+        if (!this.lanes.laneOpen(lane, dz) || !this.lanes.laneOpen(lane + 1, dz)) continue;
+        this._setInstance(dashes, n++, x, 0.02, dz, _flatQuat);
+      }
+    }
+    dashes.count = n;
+
+    n = 0;
+    const k = this.lanes.segmentIndex(z);
+    for (const side of [-1, 1]) {
+      if (!this.lanes.hasCones(k, side)) continue;
+      for (let i = 0; i < CONES_PER_SIDE; i++) {
+        const cz = z + (i + 0.5 - CONES_PER_SIDE / 2) * (SEGMENT_LEN / CONES_PER_SIDE);
+        this._setInstance(cones, n++, this.lanes.edgeAt(cz, side) + side * 1.2, 0.35, cz, null);
+      }
+    }
+    cones.count = n;
+
+    for (const mesh of [dashes, cones]) {
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.computeBoundingSphere();   // instance spread changed — keeps frustum culling right
+    }
+  }
+
+  _setInstance(mesh, i, x, y, z, localQuat) {
+    this.road.toWorld(x, y, z, _v);
+    this.road.orientationAt(z, _instQuat);
+    if (localQuat) _instQuat.multiply(localQuat);
+    _partMatrix.compose(_v, _instQuat, _unitScale);
+    mesh.setMatrixAt(i, _partMatrix);
+  }
+
+  // Long parts are bent vertex by vertex; small ones just ride the curve rigidly
+  _bakePart(mesh, z) {
+    const base = mesh.userData.baseGeo.attributes;
+    const pos  = mesh.geometry.attributes.position;
+    const nrm  = mesh.geometry.attributes.normal;
+    const { roadPos, roadQuat } = mesh.userData;
+    _partMatrix.compose(roadPos, roadQuat, _unitScale);
+
+    for (let i = 0; i < pos.count; i++) {
+      _v.fromBufferAttribute(base.position, i).applyMatrix4(_partMatrix);
+      const vz = z + _v.z;
+      this.road.toWorld(this._anchoredX(mesh, _v.x, vz), _v.y, vz, _v);
+      pos.setXYZ(i, _v.x, _v.y, _v.z);
+
+      _n.fromBufferAttribute(base.normal, i).applyQuaternion(roadQuat)
+        .applyQuaternion(this.road.orientationAt(vz, _roadQuat));
+      nrm.setXYZ(i, _n.x, _n.y, _n.z);
+    }
+    pos.needsUpdate = true;
+    nrm.needsUpdate = true;
+    mesh.geometry.computeBoundingSphere();   // frustum culling works off this
+
+    // Vertices are now in world space
+    mesh.position.set(0, 0, 0);
+    mesh.quaternion.identity();
+  }
+
+  // ---- Checkpoint gates ----
+
+  /** Spawn a gate every `segments` road segments (0 turns gates off). */
+  setCheckpointInterval(segments) {
+    this._gateInterval = Math.max(0, Math.floor(segments) || 0);
+    for (const seg of this.segments) this._syncGate(seg);
+  }
+
+  /** z of the first gate strictly ahead of `z`, or Infinity with gates off. */
+  checkpointAfter(z) {
+    if (!this._gateInterval) return Infinity;
+    const spacing = this._gateInterval * SEGMENT_LEN;
+    return (Math.floor(Math.max(0, z) / spacing) + 1) * spacing;
+  }
+
+  /** Turn a gate green once the player drives through it. */
+  markCheckpointPassed(z) {
+    this._lastPassedGate = Math.max(this._lastPassedGate, z);
+    for (const seg of this.segments) this._syncGate(seg);
+  }
+
+  _syncGate(seg) {
+    const gate  = seg.userData.gate;
+    const index = Math.round(seg.userData.z / SEGMENT_LEN);
+    gate.visible = this._gateInterval > 0 && index > 0 && index % this._gateInterval === 0;
+    if (!gate.visible) return;
+    const mat = seg.userData.z <= this._lastPassedGate ? gatePassedMat : gateMat;
+    for (const m of gate.children) m.material = mat;
+  }
+
   update(playerZ) {
     for (const seg of this.segments) {
-      if (seg.position.z < playerZ - SEGMENT_LEN * 2) {
+      if (seg.userData.z < playerZ - SEGMENT_LEN * 2) {
         let maxZ = -Infinity;
         for (const s of this.segments) {
-          if (s.position.z > maxZ) maxZ = s.position.z;
+          if (s.userData.z > maxZ) maxZ = s.userData.z;
         }
-        seg.position.z = maxZ + SEGMENT_LEN;
+        this._placeSegment(seg, maxZ + SEGMENT_LEN);
+        this._syncGate(seg);
       }
     }
   }
 
   reset() {
+    this.road.reset();
+    this.lanes.reset();
+    this._dynamicIndex = 0;
+    this._resetBiome();
     for (let i = 0; i < this.segments.length; i++) {
-      this.segments[i].position.z = i * SEGMENT_LEN;
+      this._placeSegment(this.segments[i], i * SEGMENT_LEN);
     }
+    this._lastPassedGate = -Infinity;
+    for (const seg of this.segments) this._syncGate(seg);
     this._dynamicTimer = 0;
-    this._dynamicIndex = 0;
+    this._cycleTime    = 0;
+    this._resetWeather();
+    this._layoutClouds();
   }
 
   setTheme(name) {
     this.theme = name;
+    this._sunOffset.copy(SUN_OFFSET);
     if (name === 'dynamic') {
       this._dynamicIndex = 0;
       this._dynamicTimer = 0;
       this._applyThemeConfig(THEMES[DYNAMIC_ORDER[0]]);
+    } else if (name === 'cycle') {
+      this._cycleTime = 0;
+      this._applyThemeConfig(this._cycleConfig());
     } else {
       this._applyThemeConfig(THEMES[name] || THEMES.day);
     }
+    this._resetBiome();
+    for (const seg of this.segments) this._placeScenery(seg);
+    this._resetWeather();
+  }
+
+  /** 0 in daylight → 1 at night; CarController and TrafficManager scale their lights by it. */
+  get lightLevel() { return this._lightLevel; }
+
+  // ---- Day/Night cycle ----
+  _cycleConfig() {
+    const phase = (this._cycleTime / DAY_CYCLE_LENGTH) % 1;
+    let i = 0;
+    while (i < DAY_CYCLE.length - 2 && phase >= DAY_CYCLE[i + 1].at) i++;
+    const a = DAY_CYCLE[i], b = DAY_CYCLE[i + 1];
+    const t = (phase - a.at) / (b.at - a.at);
+
+    // Sun sets in the west and the moon rises high over the night half
+    const angle = phase * Math.PI * 2;
+    this._sunOffset.set(Math.sin(angle) * 70, 12 + Math.abs(Math.cos(angle)) * 50, 25);
+
+    return blendThemes(THEMES[a.theme], THEMES[b.theme], t);
+  }
+
+  _applyLightLevel(level) {
+    this._lightLevel = level;
+    lampMat.emissiveIntensity = 0.3 + level * 1.7;
+    lampPoolMat.opacity = level * LAMP_POOL_OPACITY;
+    for (const light of this._lampLights) light.intensity = level * LAMP_LIGHT_INTENSITY;
+    this.headlight.intensity = level * HEADLIGHT_INTENSITY;
+    this.scenery.setLightLevel(level);
   }
 
   _applyThemeConfig(cfg) {
-    this.scene.background.setHex(cfg.sky);
-    this.fog.color.setHex(cfg.fogColor);
-    this.fog.density = cfg.fogDensity;
+    this._skyColor.setHex(cfg.sky);
+    this._fogColor.setHex(cfg.fogColor);
+    this._fogDensity = cfg.fogDensity;
 
     this.sunLight.color.setHex(cfg.sunColor);
     this.sunLight.intensity = cfg.sunIntensity;
@@ -447,26 +1090,39 @@ export class World {
     this.hemiLight.groundColor.setHex(cfg.hemiGround);
     this.hemiLight.intensity = cfg.hemiIntensity;
 
-    asphaltMat.color.setHex(cfg.road);
-    asphaltMat.needsUpdate = true;
+    asphaltMat.color.setHex(cfg.road);   // uniform only — runs every frame on the Day/Night map
 
-    this._setWeather(cfg.weather || 'none');
+    this._applyLightLevel(cfg.lights || 0);
+    this._applyAtmosphere();
+  }
+
+  // Theme sky and fog, thickened and tinted by the weather, any fog bank and lightning
+  _applyAtmosphere() {
+    const w  = this.weather;
+    const fx = WEATHER_EFFECTS[w.type];
+    this.fog.density = this._fogDensity + fx.fog * w.intensity + w.fog * FOG_BANK_DENSITY;
+    this.fog.color.copy(this._fogColor);
+    this.scene.background.copy(this._skyColor);
+    if (fx.tint !== null) {
+      // Night keeps its dark fog rather than glowing grey
+      const k = w.intensity * WEATHER_TINT * (1 - this._lightLevel);
+      _tint.setHex(fx.tint);
+      this.fog.color.lerp(_tint, k);
+      this.scene.background.lerp(_tint, k);
+    }
+    if (this._flash > 0) this.scene.background.lerp(_white, this._flash * 0.5);
   }
 
   updateTheme(dt, renderer) {
     if (this.theme === 'dynamic') {
-      this._dynamicTimer += dt;
-      if (this._dynamicTimer >= DYNAMIC_INTERVAL) {
-        this._dynamicTimer = 0;
-        this._dynamicIndex = (this._dynamicIndex + 1) % DYNAMIC_ORDER.length;
-      }
+      this._biome.mix = Math.min(1, this._biome.mix + dt / SCENERY_BLEND_TIME);
 
       const target = THEMES[DYNAMIC_ORDER[this._dynamicIndex]];
       const t = Math.min(1, dt * 2);
 
-      this.scene.background.lerp(new THREE.Color(target.sky), t);
-      this.fog.color.lerp(new THREE.Color(target.fogColor), t);
-      this.fog.density += (target.fogDensity - this.fog.density) * t;
+      this._skyColor.lerp(new THREE.Color(target.sky), t);
+      this._fogColor.lerp(new THREE.Color(target.fogColor), t);
+      this._fogDensity += (target.fogDensity - this._fogDensity) * t;
 
       this.sunLight.color.lerp(new THREE.Color(target.sunColor), t);
       this.sunLight.intensity += (target.sunIntensity - this.sunLight.intensity) * t;
@@ -476,30 +1132,53 @@ export class World {
       this.hemiLight.intensity += (target.hemiIntensity - this.hemiLight.intensity) * t;
 
       asphaltMat.color.lerp(new THREE.Color(target.road), t);
+      this._applyLightLevel(this._lightLevel + (target.lights - this._lightLevel) * t);
 
       renderer.toneMappingExposure += (target.exposure - renderer.toneMappingExposure) * t;
-
-      this._setWeather(target.weather || 'none');
+    } else if (this.theme === 'cycle') {
+      this._cycleTime += dt;
+      const cfg = this._cycleConfig();
+      this._applyThemeConfig(cfg);
+      renderer.toneMappingExposure = cfg.exposure;
     } else {
       const cfg = THEMES[this.theme] || THEMES.day;
       renderer.toneMappingExposure = cfg.exposure;
     }
+    this._applyAtmosphere();
   }
 
+  /** Keep the sun's shadow box and the night lights on the player (road-space px/pz). */
   followPlayer(px, pz) {
-    this.sunLight.target.position.set(px, 0, pz);
-    this.sunLight.position.x = px + 40;
-    this.sunLight.position.z = pz + 25;
+    const p = this.road.toWorld(px, 0, pz, this.sunLight.target.position);
+    this.sunLight.position.copy(p).add(this._sunOffset);
+    this.lightningLight.position.copy(p).add(LIGHTNING_OFFSET);
+
+    // Real lamp lights sit on the two lamp pairs nearest the player
+    const z0 = Math.round(pz / SEGMENT_LEN) * SEGMENT_LEN;
+    for (let i = 0; i < this._lampLights.length; i++) {
+      const side = i % 2 === 0 ? -1 : 1;
+      const z = z0 + Math.floor(i / 2) * SEGMENT_LEN;
+      const x = this.lanes.edgeAt(z, side, true) + side * (SHOULDER + 1);
+      this.road.toWorld(x, 5.5, z, this._lampLights[i].position);
+    }
+
+    this.road.toWorld(px, 1.2, pz + 2, this.headlight.position);
+    this.road.toWorld(px, 0, pz + 28, this.headlight.target.position);
   }
 
   // ---- Toggle visibility of all world objects (for editor mode) ----
   setVisibility(visible) {
     for (const seg of this.segments) seg.visible = visible;
     for (const cloud of this._clouds) cloud.visible = visible;
-    this._snowParticles.visible = visible && this._activeWeather === 'snow';
-    this._rainParticles.visible = visible && this._activeWeather === 'rain';
+    this.scenery.setVisible(visible);
+    // Particles come back with the next updateWeather()
+    this._visible = visible;
+    if (!visible) for (const points of Object.values(this._particles)) points.visible = false;
     this.sunLight.visible = visible;
     this.ambientLight.visible = visible;
     this.hemiLight.visible = visible;
+    for (const light of this._lampLights) light.visible = visible;
+    this.headlight.visible = visible;
+    this.lightningLight.visible = visible;
   }
 }
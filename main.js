@@ -1,46 +1,132 @@
 import * as THREE from 'three';
-import { World } from './World.js';
-import { CarController, BINDINGS, galaxyMat } from './CarController.js';
+import { World, SEGMENT_LEN } from './World.js';
+import { laneToX, xToLane } from './LaneLayout.js';
+import { CarController, galaxyMat } from './CarController.js';
 import { TrafficManager } from './TrafficManager.js';
 import { Menu } from './Menu.js';
 import { CarEditor } from './CarEditor.js';
+import { AudioEngine } from './AudioEngine.js';
+import { deriveRng, randomSeed } from './Random.js';
+import { ReplayRecorder, quantizeInput, decodeInputs } from './Replay.js';
+import { GhostCar } from './GhostCar.js';
+import { comboKey } from './RunHistory.js';
+import { getMode, modeId } from './GameModes.js';
+import { deriveCustomStats } from './VehicleStats.js';
+import { sanitiseBuild } from './SaveManager.js';
 
 // ============================================================
 //  GAME STATE
 // ============================================================
-let state = 'menu';   // 'menu' | 'garage' | 'editor' | 'playing' | 'paused' | 'gameover'
-let score = 0;
+let state = 'menu';   // 'menu' | 'garage' | 'editor' | 'playing' | 'paused' | 'gameover' | 'replay'
 let distance = 0;
 let nearMissCombo = 0;
 let nearMissTimer = 0;
 let screenShake = 0;
 
+// ---- Per-run stats — score is the sum of its sources, never stored opaquely ----
+let run = newRunStats();
+
+function newRunStats() {
+  return {
+    distancePts: 0,   // from the per-frame distance loop
+    nearMissPts: 0,   // from traffic.onNearMiss bonuses
+    nearMisses:  0,
+    oncomingMisses: 0,   // of nearMisses, against oncoming cars
+    bestCombo:   0,
+    nitroTime:   0,   // seconds with nitro burning
+    driveTime:   0,   // seconds in 'playing'
+    speedSum:    0,   // ∑ speed·dt, for the time-weighted average
+    topSpeed:    0,
+    overtakes:   0,
+    topStars:    0,   // highest wanted level (police heat)
+  };
+}
+
+function runScore() {
+  return run.distancePts + run.nearMissPts;
+}
+
 let currentTheme   = 'day';
 let currentCar     = '#33cc55';
 let currentVehicle = 'sports';
 let activeCarId    = null;   // null = stock, string = custom save ID
 
+// ---- Game mode (rules in GameModes.js) ----
+let currentMode = 'endless';
+let modeTime    = 0;          // Time Attack: seconds elapsed · Checkpoint: seconds left
+let nextGateZ   = Infinity;   // Checkpoint: z of the next gate
+let gatesPassed = 0;
+let gateFlash   = 0;          // seconds left on the "+N s" HUD flash
+let finishTime  = null;       // Time Attack: seconds to the finish, null if not reached
+
+// ---- Seeded runs ----
+let chosenSeed = null;   // from the map screen; null = new random seed per run
+let runSeed    = 0;      // seed actually used by the current run
+const RNG_SALT_WORLD   = 1;
+const RNG_SALT_TRAFFIC = 2;
+
+// ---- Recording / replay ----
+let recorder   = null;   // ReplayRecorder for the live run
+let lastReplay = null;   // finished recording of the most recent run
+let replay     = null;   // viewer state while state === 'replay'
+let fastForwarding = false;  // re-simulating for a seek — skip cosmetic effects
+let simTick    = 0;      // fixed ticks since the run started
+let ghostReplay = null;  // replay raced as a ghost this run (personal best or imported)
+let playerBuild = null;  // custom parts the player's car was built from (recorded with replays)
+
 // ---- Nitro ----
-let nitroLevel    = 0;   // 0–100
-const NITRO_MAX   = 100;
+let nitroLevel    = 0;   // 0–player.stats.nitroCapacity
 const NITRO_DRAIN = 20;
 const NITRO_GAIN_TOP_SPEED = 5;
 const NITRO_GAIN_NEAR_MISS = 15;
 
+// ---- Damage model (optional) — knocks cost health instead of ending the run ----
+let damageOn = false;
+let health   = 100;      // 0–100
+const HEALTH_MAX  = 100;
+const DAMAGE_BASE = 6;       // health lost on any knock
+const DAMAGE_SIDE = 0.15;    // per km/h of closing speed, side-swipe
+const DAMAGE_REAR = 0.45;    // per km/h of closing speed, rear-end
+
+// ---- Police heat (optional) — speeding and near misses draw a pursuit ----
+let heatOn = false;
+let heat   = 0;           // 0–1
+let bustedTimer = 0;      // seconds boxed in by the police so far
+const HEAT_SPEED      = 200;     // km/h — heat builds above this
+const HEAT_SPEED_RATE = 0.0015;  // per second per km/h over
+const HEAT_NEAR_MISS  = 0.05;    // per near miss
+const HEAT_COOL       = 0.04;    // per second back under the limit, out of sight of the police
+const PURSUIT_SIGHT   = 150;     // m — heat won't cool with a police unit closer than this
+const HEAT_STARS      = [0.25, 0.5, 0.85];   // heat for each wanted star; police chase from the second
+const BUSTED_TIME     = 2;       // seconds boxed in before the run ends
+
+// ---- Oncoming traffic (optional) — the left-hand lanes run toward the player ----
+let oncomingOn = false;
+const ONCOMING_MISS_MULT = 2;   // near-miss bonus multiplier against oncoming cars
+const ONCOMING_START_LANE = 3;  // inside lane of the player's own carriageway
+
+// ---- Fixed-step simulation ----
+// Gameplay always advances in SIM_DT ticks so near-misses, crashes and lane
+// changes come out the same at 30 fps on a phone and 144 fps on desktop.
+const SIM_DT  = 1 / 60;
+let simAccum  = 0;
+
 // ---- Hit-stop ----
 let hitStopTimer = 0;
 let gameSpeed    = 1;
+let crashPending = false;   // run over (crash / finish / time up), waiting on the game-over delay
 
 // ============================================================
-//  INPUT — Direct Mapping via BINDINGS
+//  INPUT — action → keys table lives in KeyBindings (menu.keyBindings)
 // ============================================================
 const keysDown = {};
 const touch = { left: false, right: false, gas: false, brake: false };
 
 document.addEventListener('keydown', e => {
-  if (e.code === 'Escape') {
+  if (menu.keyBindings.matches('pause', e.code)) {
     if (state === 'playing') { pause(); return; }
     if (state === 'paused')  { resume(); return; }
+    if (state === 'replay')  { toggleReplayPaused(); return; }
   }
   keysDown[e.code] = true;
   keysDown[e.key.toLowerCase()] = true;
@@ -50,16 +136,64 @@ document.addEventListener('keyup', e => {
   keysDown[e.key.toLowerCase()] = false;
 });
 
+// ---- Gamepad (standard mapping) — polled once per frame ----
+const PAD_DEADZONE  = 0.15;
+const PAD_TRIGGER   = 0.1;   // trigger travel that counts as pressed
+const PAD_BTN_A     = 0;
+const PAD_BTN_LT    = 6;
+const PAD_BTN_RT    = 7;
+const PAD_BTN_START = 9;
+const PAD_DPAD_L    = 14;
+const PAD_DPAD_R    = 15;
+
+const pad = { steer: 0, gas: false, brake: false, nitro: false, start: false };
+
+function pollGamepad() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  let gp = null;
+  for (const p of pads) if (p && p.connected) { gp = p; break; }
+
+  if (!gp) {
+    pad.steer = 0; pad.gas = pad.brake = pad.nitro = pad.start = false;
+    return;
+  }
+
+  const btn = i => gp.buttons[i] || { pressed: false, value: 0 };
+
+  // Left stick — rescale past the deadzone so small deflection still steers gently
+  const ax = gp.axes[0] || 0;
+  let steer = Math.abs(ax) < PAD_DEADZONE
+    ? 0
+    : Math.sign(ax) * (Math.abs(ax) - PAD_DEADZONE) / (1 - PAD_DEADZONE);
+  if (btn(PAD_DPAD_L).pressed) steer = -1;
+  if (btn(PAD_DPAD_R).pressed) steer =  1;
+  pad.steer = steer;
+
+  pad.gas   = btn(PAD_BTN_RT).value > PAD_TRIGGER || btn(PAD_BTN_RT).pressed;
+  pad.brake = btn(PAD_BTN_LT).value > PAD_TRIGGER || btn(PAD_BTN_LT).pressed;
+  pad.nitro = btn(PAD_BTN_A).pressed;
+
+  // Start toggles pause on the press edge only — not while the controls overlay is up
+  const start = btn(PAD_BTN_START).pressed;
+  if (start && !pad.start && !menu.controlsOpen) {
+    if (state === 'playing')     pause();
+    else if (state === 'paused') resume();
+  }
+  pad.start = start;
+}
+
 function getInput() {
-  const gas   = keysDown['KeyW'] || keysDown['ArrowUp'] || touch.gas;
-  const brake = keysDown['Space'] || touch.brake;
-  const nitro = keysDown['ShiftLeft'] || keysDown['ShiftRight'];
+  const kb = menu.keyBindings;
+  const gas   = kb.isDown('gas',   keysDown) || touch.gas   || pad.gas;
+  const brake = kb.isDown('brake', keysDown) || touch.brake || pad.brake;
+  const nitro = kb.isDown('nitro', keysDown) || pad.nitro;
 
   // Lane-based directional intent
-  const left  = keysDown['KeyA'] || keysDown['a'] || keysDown['ArrowLeft']  || touch.left;
-  const right = keysDown['KeyD'] || keysDown['d'] || keysDown['ArrowRight'] || touch.right;
+  const left  = kb.isDown('left',  keysDown) || touch.left;
+  const right = kb.isDown('right', keysDown) || touch.right;
 
-  let moveDir = 0;
+  // Digital input wins; otherwise the stick gives a fractional direction
+  let moveDir = pad.steer;
   if (left)  moveDir = -1;
   if (right) moveDir =  1;
 
@@ -90,8 +224,31 @@ const dom = {
   scoreVal:     document.getElementById('score-value'),
   nearMiss:     document.getElementById('near-miss-popup'),
   finalScore:   document.getElementById('final-score-value'),
+  runSeed:      document.getElementById('run-seed-value'),
+  replayBtn:    document.getElementById('watch-replay-btn'),
+  replayBar:    document.getElementById('replay-bar'),
+  replayPlay:   document.getElementById('replay-play'),
+  replayScrub:  document.getElementById('replay-scrub'),
+  replayTime:   document.getElementById('replay-time'),
+  replaySave:   document.getElementById('replay-save'),
+  newRecord:    document.getElementById('new-record-badge'),
+  runSummary:   document.getElementById('run-summary'),
+  runBests:     document.getElementById('run-bests'),
   nitroFill:    document.getElementById('nitro-fill'),
   comboDisplay: document.getElementById('combo-display'),
+  ghostDelta:   document.getElementById('ghost-delta'),
+  modeDisplay:  document.getElementById('mode-display'),
+  modeLabel:    document.getElementById('mode-label'),
+  modeValue:    document.getElementById('mode-value'),
+  modeSub:      document.getElementById('mode-sub'),
+  gameOverTitle: document.getElementById('game-over-title'),
+  healthDisplay: document.getElementById('health-display'),
+  healthFill:    document.getElementById('health-fill'),
+  laneWarning:   document.getElementById('lane-warning'),
+  weatherValue:  document.getElementById('weather-value'),
+  heatDisplay:   document.getElementById('heat-display'),
+  heatValue:     document.getElementById('heat-value'),
+  heatSub:       document.getElementById('heat-sub'),
 };
 
 // ============================================================
@@ -119,6 +276,12 @@ const camera = new THREE.PerspectiveCamera(60, RENDER_W / RENDER_H, 0.5, 1000);
 const world   = new World(scene);
 const player  = new CarController(scene);
 const traffic = new TrafficManager(scene);
+// Lane closures and widenings are shared by the road, the player and traffic
+player.setLaneLayout(world.lanes);
+traffic.setLaneLayout(world.lanes);
+// Live conditions — World.stepWeather() updates them every tick
+player.setWeather(world.weather);
+traffic.setWeather(world.weather);
 
 // Menu must come before editor so we can pass menu.saveManager
 const menu = new Menu(startGame, onGaragePreview);
@@ -129,6 +292,12 @@ const editor = new CarEditor(scene, camera, renderer, menu.saveManager);
 // Attach default custom group to player
 player.attachCustomGroup(editor.getCustomCarGroup());
 
+// Ghost of a recorded run — purely visual, never collides
+const ghost = new GhostCar(scene);
+
+// Sound — silent until a run is actually being driven
+const audio = new AudioEngine();
+
 // ============================================================
 //  CAMERA
 // ============================================================
@@ -137,11 +306,12 @@ const CAM_H       = 3;
 const CAM_FOV_MIN = 60;
 const CAM_FOV_MAX = 66;   // 10% higher than base at max speed
 const CAM_FOV_NITRO = 70;
-const MAX_SPEED   = 280;
+const MAX_SPEED   = 280;   // camera sway/FOV reference only — cars have their own topSpeed
 
 let camRoll = 0;
 const _rollQ    = new THREE.Quaternion();
 const _rollAxis = new THREE.Vector3(0, 0, 1);
+const _camTarget = new THREE.Vector3();
 
 function updateCamera() {
   const speedRatio = player.absSpeed / MAX_SPEED;
@@ -149,9 +319,8 @@ function updateCamera() {
   // Subtle X-axis sine sway — speed-proportional, Z stays locked
   const sway = Math.sin(Date.now() * 0.005) * speedRatio * 0.5;
 
-  camera.position.x = player.posX + sway;
-  camera.position.y = CAM_H;
-  camera.position.z = player.posZ - CAM_DIST;
+  // Chase position and aim are set in road space, then carried round the bends
+  world.road.toWorld(player.posX + sway, CAM_H, player.posZ - CAM_DIST, camera.position);
 
   // Screen shake
   if (screenShake > 0) {
@@ -161,7 +330,7 @@ function updateCamera() {
     if (screenShake < 0.01) screenShake = 0;
   }
 
-  camera.lookAt(player.posX, 1.2, player.posZ + 16);
+  camera.lookAt(world.road.toWorld(player.posX, 1.2, player.posZ + 16, _camTarget));
 
   // Smooth Z-roll (G-force simulation)
   const targetRoll = -player.lateralDir * (Math.PI / 64);
@@ -185,18 +354,26 @@ function updateCamera() {
 function updateDemo(dt) {
   const t = performance.now() * 0.001;
   const weave = Math.sin(t * 0.4) * 0.3;
+  world.stepWeather(dt);
   player.update(dt, { gas: true, brake: false, moveDir: weave, left: false, right: false, nitro: false });
 
   world.update(player.posZ);
   world.updateTheme(dt, renderer);
+  syncLightLevel();
   world.updateWeather(dt, player.posX, player.posZ);
   world.updateClouds(dt, player.posZ);
   world.followPlayer(player.posX, player.posZ);
-  traffic.update(dt, player.posX, player.posZ, player.absSpeed, 0);
+  traffic.update(dt, player.posX, player.posZ, player.absSpeed, 0, player);
 
   updateCamera();
 }
 
+/** Headlights and tail lights follow how dark the world currently is. */
+function syncLightLevel() {
+  player.setLightLevel(world.lightLevel);
+  traffic.setLightLevel(world.lightLevel);
+}
+
 // ============================================================
 //  GARAGE TURNTABLE
 // ============================================================
@@ -208,6 +385,7 @@ function onGaragePreview(theme, vehicleType, carColor, carId) {
   activeCarId    = carId || null;
 
   world.setTheme(theme);
+  syncLightLevel();
 
   // Rebuild garage preview from the correct source
   if (activeCarId) {
@@ -245,6 +423,7 @@ function onGaragePreview(theme, vehicleType, carColor, carId) {
     player.playerGroup.rotation.set(0, 0, 0);
   }
 
+  menu.showStats(activeCarId ? deriveCustomStats(editor.customCarGroup) : player.stats);
   state = 'garage';
 }
 
@@ -288,6 +467,7 @@ function updateGarage(dt) {
  */
 function enterEditor(carId) {
   state = 'editor';
+  audio.setActive(false);
 
   // Track which car we're editing at the top level
   activeCarId = carId || null;
@@ -297,6 +477,7 @@ function enterEditor(carId) {
   world.setVisibility(false);
   traffic.setVisibility(false);
   player.playerGroup.visible = false;
+  ghost.setVisibility(false);
 
   // Enter editor: loads carId data if provided, else fresh canvas
   editor.enter(currentCar, carId);
@@ -322,19 +503,32 @@ function updateEditor() {
 // ============================================================
 //  NEAR-MISS CALLBACK
 // ============================================================
-traffic.onNearMiss = () => {
-  if (state !== 'playing') return;
+// Live runs and replays both drive the simulation through these callbacks
+function isSimulating() {
+  return state === 'playing' || state === 'replay';
+}
+
+traffic.onNearMiss = (oncoming) => {
+  if (!isSimulating()) return;
   if (nearMissTimer > 0) nearMissCombo++; else nearMissCombo = 1;
   nearMissTimer = 3;
-  const bonus = 50 * nearMissCombo;
-  score += bonus;
-  screenShake = 0.35;
+  run.bestCombo = Math.max(run.bestCombo, nearMissCombo);
+  run.nearMisses++;
+  if (oncoming) run.oncomingMisses++;
+  const bonus = 50 * nearMissCombo * (oncoming ? ONCOMING_MISS_MULT : 1);
+  run.nearMissPts += bonus;
 
-  nitroLevel = Math.min(NITRO_MAX, nitroLevel + NITRO_GAIN_NEAR_MISS);
+  nitroLevel = Math.min(player.stats.nitroCapacity, nitroLevel + NITRO_GAIN_NEAR_MISS);
+  if (heatOn) heat = Math.min(1, heat + HEAT_NEAR_MISS);
 
+  if (fastForwarding) return;
+  screenShake = 0.35;
+  audio.nearMiss(nearMissCombo);
+
+  const label = oncoming ? 'ONCOMING' : 'NEAR MISS';
   dom.nearMiss.textContent = nearMissCombo > 1
-    ? `NEAR MISS x${nearMissCombo}! +${bonus}`
-    : `NEAR MISS! +${bonus}`;
+    ? `${label} x${nearMissCombo}! +${bonus}`
+    : `${label}! +${bonus}`;
   dom.nearMiss.classList.add('show');
   setTimeout(() => dom.nearMiss.classList.remove('show'), 700);
 
@@ -344,13 +538,18 @@ traffic.onNearMiss = () => {
   }
 };
 
+traffic.onOvertake = () => {
+  if (!isSimulating()) return;
+  run.overtakes++;
+};
+
 // ============================================================
 //  NITRO SYSTEM
 // ============================================================
 function updateNitro(dt, input) {
-  const speedRatio = player.absSpeed / MAX_SPEED;
+  const speedRatio = player.absSpeed / player.stats.topSpeed;
   if (speedRatio > 0.9) {
-    nitroLevel = Math.min(NITRO_MAX, nitroLevel + NITRO_GAIN_TOP_SPEED * dt);
+    nitroLevel = Math.min(player.stats.nitroCapacity, nitroLevel + NITRO_GAIN_TOP_SPEED * dt);
   }
 
   if (input.nitro && nitroLevel > 0) {
@@ -359,14 +558,6 @@ function updateNitro(dt, input) {
   } else {
     player.nitroActive = false;
   }
-
-  const pct = (nitroLevel / NITRO_MAX) * 100;
-  dom.nitroFill.style.width = `${pct}%`;
-  if (player.nitroActive) {
-    dom.nitroFill.classList.add('active');
-  } else {
-    dom.nitroFill.classList.remove('active');
-  }
 }
 
 // ============================================================
@@ -376,6 +567,7 @@ function triggerHitStop() {
   hitStopTimer = 0.3; // 300ms
   gameSpeed = 0.1;
   screenShake = 1.0;
+  audio.crash();
 }
 
 function updateHitStop(dt) {
@@ -393,11 +585,108 @@ function updateHitStop(dt) {
 // ============================================================
 function updateHUD() {
   dom.speedVal.textContent = Math.floor(player.absSpeed);
-  dom.scoreVal.textContent = Math.floor(score);
+  dom.scoreVal.textContent = Math.floor(runScore());
+
+  const pct = (nitroLevel / player.stats.nitroCapacity) * 100;
+  dom.nitroFill.style.width = `${pct}%`;
+  if (player.nitroActive) {
+    dom.nitroFill.classList.add('active');
+  } else {
+    dom.nitroFill.classList.remove('active');
+  }
 
   if (nearMissTimer <= 0 && nearMissCombo === 0) {
     dom.comboDisplay.classList.remove('show');
   }
+
+  updateModeHUD();
+  updateLaneWarning();
+  updateWeatherHUD();
+  updateHeatHUD();
+
+  dom.healthDisplay.style.display = damageOn ? 'block' : 'none';
+  if (damageOn) {
+    dom.healthFill.style.width = `${(health / HEALTH_MAX) * 100}%`;
+    dom.healthFill.classList.toggle('low', health < HEALTH_MAX * 0.3);
+  }
+}
+
+/** Timer / progress readout for timed modes; hidden in Endless. */
+function updateModeHUD() {
+  const mode = getMode(currentMode);
+  if (mode.targetDistance) {
+    dom.modeDisplay.style.display = 'block';
+    dom.modeLabel.textContent = 'TIME';
+    dom.modeValue.textContent = formatClock(finishTime ?? modeTime);
+    dom.modeSub.textContent   =
+      `${(Math.min(distance, mode.targetDistance) / 1000).toFixed(2)} / ${(mode.targetDistance / 1000).toFixed(1)} KM`;
+    dom.modeSub.classList.remove('bonus');
+    dom.modeDisplay.classList.remove('low');
+  } else if (mode.gateSegments) {
+    dom.modeDisplay.style.display = 'block';
+    dom.modeLabel.textContent = 'TIME LEFT';
+    dom.modeValue.textContent = modeTime.toFixed(1);
+    dom.modeSub.textContent   = gateFlash > 0 ? `+${mode.gateBonus} S` : `GATES ${gatesPassed}`;
+    dom.modeSub.classList.toggle('bonus', gateFlash > 0);
+    dom.modeDisplay.classList.toggle('low', modeTime < 5);
+  } else {
+    dom.modeDisplay.style.display = 'none';
+  }
+}
+
+const LANE_WARN_DIST = 250;   // m — warn this far before the player's lane ends
+
+/** "LANE ENDS" / "ROAD WORKS" banner while the player's lane is closing ahead. */
+function updateLaneWarning() {
+  const lanes = world.lanes;
+  const lane  = xToLane(player.posX);
+  const ends  = lanes.laneEndsIn(lane, player.posZ, LANE_WARN_DIST);
+  if (ends === Infinity || crashPending) {
+    dom.laneWarning.style.display = 'none';
+    return;
+  }
+  // The taper sits in the segment before the closed stretch
+  const works = lanes.segment(lanes.segmentIndex(player.posZ + ends + SEGMENT_LEN)).works;
+  const merge = laneToX(lane) < 0 ? 'MERGE RIGHT ▶' : '◀ MERGE LEFT';
+  dom.laneWarning.textContent = ends === 0
+    ? merge
+    : `${works ? 'ROAD WORKS' : 'LANE ENDS'} ${ends} M · ${merge}`;
+  dom.laneWarning.classList.toggle('urgent', ends <= 60);
+  dom.laneWarning.style.display = 'block';
+}
+
+const WEATHER_LABELS = {
+  none: 'CLEAR', rain: '☂ WET ROAD', thunderstorm: '⚡ STORM',
+  snow: '❄ SNOW', sandstorm: '≋ SANDSTORM', fog: '▒ HEAVY FOG',
+};
+const WEATHER_HUD_MIN = 0.15;   // intensity below this still reads as clear
+
+/** Weather readout — amber whenever the conditions cost grip or visibility. */
+function updateWeatherHUD() {
+  const w    = world.weather;
+  const bad  = w.type !== 'none' && w.intensity >= WEATHER_HUD_MIN;
+  const bank = w.fog > 0.3 && w.type !== 'fog';
+  dom.weatherValue.textContent = (bad ? WEATHER_LABELS[w.type] : 'CLEAR') + (bank ? ' · FOG' : '');
+  dom.weatherValue.classList.toggle('bad', bad || bank);
+}
+
+/** Wanted stars and pursuit status (police heat only). */
+function updateHeatHUD() {
+  dom.heatDisplay.style.display = heatOn ? 'block' : 'none';
+  if (!heatOn) return;
+  const stars = heatStars();
+  dom.heatValue.textContent = '★'.repeat(stars) + '☆'.repeat(HEAT_STARS.length - stars);
+  dom.heatSub.textContent   = bustedTimer > 0 ? 'BOXED IN!' : stars > 1 ? 'PURSUIT' : '';
+  dom.heatDisplay.classList.toggle('pursuit', stars > 1);
+  dom.heatDisplay.classList.toggle('boxed', bustedTimer > 0);
+}
+
+/** Seconds → m:ss.cc */
+function formatClock(secs) {
+  const cs = Math.floor(secs * 100);
+  const m  = Math.floor(cs / 6000);
+  const s  = Math.floor(cs / 100) % 60;
+  return `${m}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
 }
 
 // ============================================================
@@ -408,85 +697,128 @@ function updateHUD() {
  * Called by Menu when the user clicks GO!
  * @param {string}      theme
  * @param {string}      carColor    — hex, 'rainbow', or 'galaxy'
- * @param {string}      vehicleType — 'sports' | 'limo' | 'custom'
+ * @param {string}      vehicleType — a STOCK_VEHICLES key | 'custom'
  * @param {string|null} carId       — null = stock, string = custom build ID
+ * @param {number|null} seed        — fixed run seed, or null for random
+ * @param {object|null} [ghostRun]  — replay to race as a ghost; forces its seed and mode
+ * @param {string}      [gameMode]  — key of GAME_MODES; defaults to Endless
+ * @param {boolean}     [damage]    — damage model instead of one-hit crashes
+ * @param {boolean}     [police]    — police heat: speeding draws a pursuit
+ * @param {boolean}     [oncoming]  — oncoming traffic in the left-hand lanes
  */
-function startGame(theme, carColor, vehicleType, carId) {
+function startGame(theme, carColor, vehicleType, carId, seed, ghostRun, gameMode, damage, police, oncoming) {
   currentTheme   = theme;
   currentCar     = carColor    || '#33cc55';
   currentVehicle = vehicleType || 'sports';
   activeCarId    = carId || null;
+  ghostReplay    = ghostRun || null;
+  // Racing a ghost only makes sense on its highway
+  chosenSeed     = ghostReplay ? ghostReplay.seed : (seed ?? null);
+  currentMode    = modeId(ghostReplay ? ghostReplay.mode : gameMode);
+  damageOn       = ghostReplay ? !!ghostReplay.damage : !!damage;
+  heatOn         = ghostReplay ? !!ghostReplay.heat : !!police;
+  oncomingOn     = ghostReplay ? !!ghostReplay.oncoming : !!oncoming;
 
   dom.garagePanel.classList.remove('visible');
   dom.hud.style.display = 'block';
 
   world.setTheme(theme);
-
-  if (activeCarId) {
-    // Custom build: import → clone into playerGroup → hide editor group
-    const saved = menu.saveManager.getCar(activeCarId);
-    if (saved) {
-      editor.importParts(saved.parts, saved.mainColor || currentCar);
-      editor.applyMainColor(currentCar);
-      editor.customCarGroup.visible = false; // avoid double-rendering
-      player.attachCustomGroup(editor.getCustomCarGroup());
-      player.useCustomCar();
-      player.setColor(currentCar);  // apply solid/rainbow/galaxy to custom parts
-      player.playerGroup.visible = true;
-    }
-  } else {
-    // Stock vehicle
-    editor.customCarGroup.visible = false;
-    player.setVehicle(currentVehicle);
-    player.setColor(currentCar);
-    player.playerGroup.visible = true;
-  }
-
-  player.playerGroup.rotation.set(0, 0, 0);
+  loadGhost();
+  loadPlayerVehicle();
 
   resetGame();
+  startRecording();
   state = 'playing';
+  audio.setActive(true);
 }
 
 function retryGame() {
   dom.gameOver.style.display = 'none';
   dom.hud.style.display = 'block';
 
-  if (activeCarId) {
-    const saved = menu.saveManager.getCar(activeCarId);
-    if (saved) {
-      editor.importParts(saved.parts, saved.mainColor || currentCar);
-      editor.applyMainColor(currentCar);
-      editor.customCarGroup.visible = false;
-      player.attachCustomGroup(editor.getCustomCarGroup());
-      player.useCustomCar();
-      player.setColor(currentCar);  // apply solid/rainbow/galaxy to custom parts
-      player.playerGroup.visible = true;
-    }
+  loadGhost();
+  loadPlayerVehicle();
+  resetGame();
+  startRecording();
+  state = 'playing';
+  audio.setActive(true);
+}
+
+/**
+ * Build the ghost from ghostReplay. Must run before loadPlayerVehicle(): a
+ * custom ghost borrows the editor's car group, which the player then reloads.
+ */
+function loadGhost() {
+  if (!ghostReplay) { ghost.unload(); return; }
+  const saved = replayBuild(ghostReplay);
+  if (saved) {
+    editor.importParts(saved.parts, saved.mainColor || ghostReplay.color);
+    ghost.load(ghostReplay, editor.getCustomCarGroup());
+  } else {
+    ghost.load({ ...ghostReplay, vehicleType: ghostReplay.carId ? 'sports' : ghostReplay.vehicleType }, null);
+  }
+  editor.customCarGroup.visible = false;
+}
+
+/**
+ * Custom build a replay was driven with: the parts it recorded, so later edits
+ * to the saved car can't change its stats or hitboxes. Replays recorded before
+ * builds were stored (or whose build is unusable) fall back to the saved car,
+ * then to the stock vehicle.
+ * @returns {{ parts: object[], mainColor: string }|null}
+ */
+function replayBuild(data) {
+  if (!data.carId) return null;
+  return sanitiseBuild(data.build) || menu.saveManager.getCar(data.carId);
+}
+
+/**
+ * Build the player's car from currentVehicle / activeCarId / currentCar.
+ * @param {{ parts: object[], mainColor: string }|null} [saved] — custom build; defaults to the saved car
+ */
+function loadPlayerVehicle(saved = activeCarId ? menu.saveManager.getCar(activeCarId) : null) {
+  playerBuild = saved ? { parts: saved.parts, mainColor: saved.mainColor } : null;
+
+  if (saved) {
+    // Custom build: import → clone into playerGroup → hide editor group
+    editor.importParts(saved.parts, saved.mainColor || currentCar);
+    editor.applyMainColor(currentCar);
+    editor.customCarGroup.visible = false; // avoid double-rendering
+    player.attachCustomGroup(editor.getCustomCarGroup());
+    player.useCustomCar();
+    player.setColor(currentCar);  // apply solid/rainbow/galaxy to custom parts
+    player.playerGroup.visible = true;
   } else {
+    // Stock vehicle (or a custom build that has since been deleted)
     editor.customCarGroup.visible = false;
-    player.setVehicle(currentVehicle);
+    player.setVehicle(activeCarId ? 'sports' : currentVehicle);
     player.setColor(currentCar);
     player.playerGroup.visible = true;
   }
 
   player.playerGroup.rotation.set(0, 0, 0);
-  resetGame();
-  state = 'playing';
 }
 
 function goToMainMenu() {
   dom.gameOver.style.display    = 'none';
   dom.pauseScreen.style.display = 'none';
   dom.hud.style.display         = 'none';
+  ghostReplay = null;
+  ghost.unload();
+  currentMode = 'endless';   // no gates behind the menu
+  damageOn    = false;
+  heatOn      = false;
+  oncomingOn  = false;
   resetGame();
   state = 'menu';
+  audio.setActive(false);
   world.setTheme('day');
   menu.show();
 }
 
 function pause() {
   state = 'paused';
+  audio.setActive(false);
   dom.pauseScreen.style.display = 'flex';
 }
 
@@ -494,40 +826,331 @@ function resume() {
   dom.pauseScreen.style.display = 'none';
   clock.getDelta(); // flush accumulated dt during pause
   state = 'playing';
+  audio.setActive(true);
 }
 
-function resetGame() {
-  score = 0; distance = 0;
+/** @param {number} [seed] — force a seed (replays); otherwise chosen or random */
+function resetGame(seed) {
+  // Fresh streams per run: a fixed seed replays the same highway on every retry
+  runSeed = seed ?? chosenSeed ?? randomSeed();
+  world.setRng(deriveRng(runSeed, RNG_SALT_WORLD));
+  traffic.setRng(deriveRng(runSeed, RNG_SALT_TRAFFIC));
+
+  run = newRunStats(); distance = 0;
   nearMissCombo = 0; nearMissTimer = 0;
   screenShake = 0; camRoll = 0;
   nitroLevel = 0; hitStopTimer = 0; gameSpeed = 1;
-  player.reset();
+  health = HEALTH_MAX;
+  heat = 0; bustedTimer = 0;
+  crashPending = false;
+  simAccum = 0; simTick = 0;
+  player.reset(oncomingOn ? ONCOMING_START_LANE : undefined);
   traffic.reset();
+
+  const mode = getMode(currentMode);
+  traffic.setAggression(mode.aggression);
+  traffic.setOncoming(oncomingOn);
+  world.setCheckpointInterval(mode.gateSegments || 0);
   world.reset();
+  modeTime    = mode.startTime || 0;
+  nextGateZ   = world.checkpointAfter(player.posZ);
+  gatesPassed = 0; gateFlash = 0;
+  finishTime  = null;
 
   dom.nitroFill.style.width = '0%';
   dom.nitroFill.classList.remove('active');
   dom.comboDisplay.classList.remove('show');
+  dom.ghostDelta.style.display = 'none';
+  ghost.update(0);
 
-  camera.position.set(player.posX, CAM_H, player.posZ - CAM_DIST);
-  camera.lookAt(player.posX, 1.2, player.posZ + 16);
+  world.road.toWorld(player.posX, CAM_H, player.posZ - CAM_DIST, camera.position);
+  camera.lookAt(world.road.toWorld(player.posX, 1.2, player.posZ + 16, _camTarget));
   camera.fov = CAM_FOV_MIN;
   camera.updateProjectionMatrix();
 }
 
-function crash() {
-  triggerHitStop();
+const GAME_OVER_TITLES = {
+  crash: 'WRECKED', headon: 'HEAD-ON', finish: 'FINISHED', timeup: 'TIME UP', busted: 'BUSTED',
+};
+
+/**
+ * End the run. The sim stops scoring at once (crashPending); the game-over
+ * screen follows after a short beat. In the replay viewer the run just
+ * freezes at the same tick — the recording ends there anyway.
+ * @param {'crash'|'headon'|'finish'|'timeup'|'busted'} reason
+ */
+function endRun(reason) {
+  crashPending = true;
+  if ((reason === 'crash' || reason === 'headon') && !fastForwarding) triggerHitStop();
+  if (state !== 'playing') return;
 
   setTimeout(() => {
     state = 'gameover';
+    audio.setActive(false);
     dom.hud.style.display      = 'none';
     dom.gameOver.style.display = 'flex';
-    dom.finalScore.textContent = Math.floor(score);
+    dom.gameOverTitle.textContent = GAME_OVER_TITLES[reason];
+    dom.gameOverTitle.classList.toggle('finished', reason === 'finish');
+    lastReplay = recorder ? recorder.finish({ score: runScore(), distance }) : null;
+    recorder   = null;
+    dom.replayBtn.style.display = lastReplay ? 'inline-block' : 'none';
+    dom.finalScore.textContent = Math.floor(runScore());
+    dom.runSeed.textContent    = runSeed;
+    showRunSummary();
+    showRunRecord();
     gameSpeed    = 1;
     hitStopTimer = 0;
   }, 350);
 }
 
+// ============================================================
+//  RUN SUMMARY — where this run's score came from
+// ============================================================
+function fillStatRows(container, rows) {
+  container.innerHTML = '';
+  for (const [label, value] of rows) {
+    const row = document.createElement('div');
+    row.className = 'run-bests-row';
+    const l = document.createElement('span');
+    l.textContent = label;
+    const v = document.createElement('span');
+    v.textContent = value;
+    row.appendChild(l);
+    row.appendChild(v);
+    container.appendChild(row);
+  }
+}
+
+function showRunSummary() {
+  const avgSpeed = run.driveTime > 0 ? run.speedSum / run.driveTime : 0;
+  fillStatRows(dom.runSummary, [
+    ['DISTANCE PTS',  `+${Math.floor(run.distancePts)}`],
+    ['NEAR MISS PTS', `+${Math.floor(run.nearMissPts)} (${run.nearMisses})`],
+    ...(oncomingOn ? [['ONCOMING MISSES', run.oncomingMisses]] : []),
+    ['LONGEST COMBO', `x${run.bestCombo}`],
+    ['NITRO TIME',    `${run.nitroTime.toFixed(1)} s`],
+    ['AVG SPEED',     `${Math.floor(avgSpeed)} km/h`],
+    ['TOP SPEED',     `${Math.floor(run.topSpeed)} km/h`],
+    ['OVERTAKES',     run.overtakes],
+    ...modeSummaryRows(),
+    ...(damageOn ? [['HEALTH LEFT', `${Math.ceil(health)}%`]] : []),
+    ...(heatOn ? [['WANTED', '★'.repeat(run.topStars) || '—']] : []),
+  ]);
+}
+
+function modeSummaryRows() {
+  const mode = getMode(currentMode);
+  if (mode.targetDistance) return [['TIME', finishTime !== null ? formatClock(finishTime) : 'DNF']];
+  if (mode.gateSegments)   return [['GATES', gatesPassed]];
+  return [];
+}
+
+// ============================================================
+//  RUN HISTORY — record the run and show personal bests
+// ============================================================
+const RECORD_LABELS = {
+  score: 'SCORE', distance: 'DISTANCE', topSpeed: 'TOP SPEED', bestCombo: 'COMBO', time: 'TIME',
+};
+
+function showRunRecord() {
+  const { bests, newRecords } = menu.runHistory.recordRun({
+    score:     runScore(),
+    distance,
+    topSpeed:  run.topSpeed,
+    bestCombo: run.bestCombo,
+    time:      finishTime,
+    theme:       currentTheme,
+    vehicleType: currentVehicle,
+    carId:       activeCarId,
+    mode:        currentMode,
+  });
+
+  // First run or a new best in the mode's headline stat becomes the personal-best ghost
+  const record = getMode(currentMode).record;
+  if (lastReplay && (bests.runs === 1 || newRecords.includes(record))) {
+    menu.saveManager.saveGhost(comboKey(currentTheme, currentVehicle, activeCarId, currentMode), lastReplay);
+  }
+
+  if (newRecords.length > 0) {
+    dom.newRecord.textContent = `NEW RECORD: ${newRecords.map(f => RECORD_LABELS[f]).join(' · ')}`;
+    dom.newRecord.style.display = 'block';
+  } else {
+    dom.newRecord.style.display = 'none';
+  }
+
+  fillStatRows(dom.runBests, [
+    ['BEST SCORE', bests.score],
+    ['BEST DIST',  `${(bests.distance / 1000).toFixed(2)} km`],
+    ['TOP SPEED',  `${bests.topSpeed} km/h`],
+    ['BEST COMBO', `x${bests.bestCombo}`],
+    ...(record === 'time' ? [['BEST TIME', bests.time !== null ? formatClock(bests.time) : '—']] : []),
+    ['RUNS',       bests.runs],
+  ]);
+}
+
+// ============================================================
+//  RECORDING + REPLAY VIEWER
+// ============================================================
+function startRecording() {
+  recorder = new ReplayRecorder({
+    seed:        runSeed,
+    simDt:       SIM_DT,
+    theme:       currentTheme,
+    vehicleType: currentVehicle,
+    carId:       activeCarId,
+    color:       currentCar,
+    mode:        currentMode,
+    damage:      damageOn,
+    heat:        heatOn,
+    oncoming:    oncomingOn,
+    build:       playerBuild,
+  });
+  recorder.sample(player.posX, player.posZ);   // tick 0
+}
+
+/**
+ * Open the replay viewer.
+ * @param {object} data   — replay object from ReplayRecorder.finish / SaveManager
+ * @param {'gameover'|'menu'} origin — where EXIT returns to
+ */
+function openReplay(data, origin) {
+  currentTheme   = data.theme || 'day';
+  currentVehicle = data.vehicleType || 'sports';
+  activeCarId    = data.carId || null;
+  currentCar     = data.color || '#33cc55';
+  currentMode    = modeId(data.mode);
+  damageOn       = !!data.damage;
+  heatOn         = !!data.heat;
+  oncomingOn     = !!data.oncoming;
+
+  replay = {
+    data,
+    inputs: decodeInputs(data.inputs),
+    tick:   0,
+    speed:  1,
+    paused: false,
+    origin,
+  };
+
+  dom.gameOver.style.display = 'none';
+  dom.hud.style.display      = 'block';
+  dom.replayBar.style.display = 'flex';
+  dom.replayScrub.max   = replay.inputs.length;
+  dom.replaySave.textContent = 'SAVE';
+  dom.replaySave.disabled    = !!data.id;   // already saved
+  setReplaySpeed(1);
+
+  world.setTheme(currentTheme);
+  ghost.setVisibility(false);
+  loadPlayerVehicle(replayBuild(data));
+  resetGame(data.seed);
+  state = 'replay';
+  setReplayPaused(false);
+}
+
+function closeReplay() {
+  dom.replayBar.style.display = 'none';
+  const origin = replay ? replay.origin : 'menu';
+  replay = null;
+  audio.setActive(false);
+
+  if (origin === 'gameover') {
+    // The full replay re-simulated the run, so the game-over stats still match
+    state = 'gameover';
+    dom.hud.style.display      = 'none';
+    dom.gameOver.style.display = 'flex';
+  } else {
+    goToMainMenu();
+  }
+}
+
+/** Jump to a tick by re-simulating from the seed (the sim only runs forward). */
+function seekReplay(tick) {
+  tick = Math.max(0, Math.min(replay.inputs.length, tick));
+  if (tick < replay.tick) {
+    resetGame(replay.data.seed);
+    replay.tick = 0;
+  }
+  fastForwarding = true;
+  while (replay.tick < tick) {
+    player.snapshot();
+    traffic.snapshot();
+    stepSimulation(SIM_DT, replay.inputs[replay.tick++]);
+  }
+  fastForwarding = false;
+  simAccum = 0;
+  hitStopTimer = 0; gameSpeed = 1;
+}
+
+function setReplayPaused(paused) {
+  replay.paused = paused;
+  dom.replayPlay.innerHTML = paused ? '&#9654;' : '&#9646;&#9646;';
+  audio.setActive(!paused);
+}
+
+function toggleReplayPaused() {
+  if (!replay) return;
+  // Pressing play at the end restarts from the top
+  if (replay.paused && replay.tick >= replay.inputs.length) seekReplay(0);
+  setReplayPaused(!replay.paused);
+}
+
+function setReplaySpeed(speed) {
+  replay.speed = speed;
+  document.querySelectorAll('.replay-speed-btn').forEach(b => {
+    b.classList.toggle('active', +b.dataset.speed === speed);
+  });
+}
+
+function formatTicks(ticks) {
+  const secs = Math.floor(ticks * SIM_DT);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+function updateReplayBar() {
+  dom.replayScrub.value = replay.tick;
+  dom.replayTime.textContent = `${formatTicks(replay.tick)} / ${formatTicks(replay.inputs.length)}`;
+}
+
+dom.replayBtn.addEventListener('click', () => {
+  if (lastReplay) openReplay(lastReplay, 'gameover');
+});
+dom.replayPlay.addEventListener('click', toggleReplayPaused);
+dom.replayScrub.addEventListener('input', () => {
+  if (!replay) return;
+  setReplayPaused(true);
+  seekReplay(+dom.replayScrub.value);
+});
+document.querySelectorAll('.replay-speed-btn').forEach(btn => {
+  btn.addEventListener('click', () => { if (replay) setReplaySpeed(+btn.dataset.speed); });
+});
+dom.replaySave.addEventListener('click', () => {
+  if (!replay || replay.data.id) return;
+  const id = menu.saveManager.saveReplay(replay.data);
+  if (id) {
+    replay.data = { ...replay.data, id };
+    if (lastReplay && !lastReplay.id) lastReplay.id = id;
+    dom.replaySave.textContent = '✓ SAVED';
+    dom.replaySave.disabled    = true;
+  } else {
+    dom.replaySave.textContent = 'STORAGE FULL';
+  }
+});
+document.getElementById('replay-exit').addEventListener('click', closeReplay);
+
+// Saved replays list in the main menu
+menu.onReplayOpen = id => {
+  const data = menu.saveManager.getReplay(id);
+  if (data) openReplay(data, 'menu');
+};
+
+// Race a saved or imported replay: its map, its car, its seed
+menu.onGhostRace = id => {
+  const data = menu.saveManager.getReplay(id);
+  if (!data) return;
+  startGame(data.theme || 'day', data.color, data.vehicleType, data.carId, data.seed, data);
+};
+
 // ============================================================
 //  MENU + BUTTON WIRING
 // ============================================================
@@ -543,6 +1166,20 @@ document.getElementById('mainmenu-btn').addEventListener('click', goToMainMenu);
 document.getElementById('pause-btn').addEventListener('click', pause);
 document.getElementById('resume-btn').addEventListener('click', resume);
 document.getElementById('pause-mainmenu-btn').addEventListener('click', goToMainMenu);
+// Volume sliders (controls screen) — 0–100 in the DOM, 0–1 in AudioEngine
+for (const [id, get, set] of [
+  ['vol-master', () => audio.masterVolume, v => audio.setMasterVolume(v)],
+  ['vol-sfx',    () => audio.sfxVolume,    v => audio.setSfxVolume(v)],
+]) {
+  const el = document.getElementById(id);
+  el.value = Math.round(get() * 100);
+  el.addEventListener('input', () => set(el.value / 100));
+}
+
+document.getElementById('pause-controls-btn').addEventListener('click', () => {
+  dom.pauseScreen.style.display = 'none';
+  menu.openControls(() => { dom.pauseScreen.style.display = 'flex'; });
+});
 
 // ============================================================
 //  MAIN LOOP
@@ -553,6 +1190,8 @@ function animate() {
   requestAnimationFrame(animate);
   const rawDt = Math.min(clock.getDelta(), 0.05);
 
+  pollGamepad();
+
   updateHitStop(rawDt);
   const dt = rawDt * gameSpeed;
 
@@ -566,41 +1205,203 @@ function animate() {
     updateEditor();
 
   } else if (state === 'playing') {
-    const input = getInput();
-    player.update(dt, input);
+    // Hit-stop slows the simulation clock, not the tick size
+    simAccum += dt;
+    while (simAccum >= SIM_DT && state === 'playing') {
+      player.snapshot();
+      traffic.snapshot();
+      // Quantize before simulating so the recording reproduces this exact tick
+      const input = quantizeInput(getInput());
+      if (recorder) recorder.push(input);
+      stepSimulation(SIM_DT, input);
+      if (recorder) recorder.sample(player.posX, player.posZ);
+      simAccum -= SIM_DT;
+    }
 
-    updateNitro(dt, input);
+    renderSimulation(dt);
 
-    const ms  = player.absSpeed / 3.6;
-    distance += ms * dt;
-    score    += ms * dt * 0.5;
+  } else if (state === 'replay') {
+    if (!replay.paused) {
+      simAccum += dt * replay.speed;
+      while (simAccum >= SIM_DT && replay.tick < replay.inputs.length) {
+        player.snapshot();
+        traffic.snapshot();
+        stepSimulation(SIM_DT, replay.inputs[replay.tick++]);
+        simAccum -= SIM_DT;
+      }
+      if (replay.tick >= replay.inputs.length) setReplayPaused(true);
+    }
 
-    updateCamera();
+    renderSimulation(dt);
+    updateReplayBar();
 
-    world.update(player.posZ);
-    world.updateTheme(dt, renderer);
-    world.updateWeather(dt, player.posX, player.posZ);
-    world.updateClouds(dt, player.posZ);
-    world.followPlayer(player.posX, player.posZ);
+  } else if (state === 'paused') {
+    // Frozen — render current frame only
+  }
 
-    traffic.update(dt, player.posX, player.posZ, player.absSpeed, distance);
+  // Cars simulate in road space; bend them onto the curving road just for the draw
+  const onRoad = state !== 'garage' && state !== 'editor';
+  if (onRoad) bendCarsToRoad();
+  renderer.render(scene, camera);
+  if (onRoad) world.road.unbend();
 
-    if (traffic.checkCollision(player.posX, player.posZ, player.halfW, player.halfL)) {
-      crash();
-    }
+  player.restore();
+  traffic.restore();
+}
 
-    if (nearMissTimer > 0) {
-      nearMissTimer -= dt;
-      if (nearMissTimer <= 0) nearMissCombo = 0;
-    }
+function bendCarsToRoad() {
+  world.road.bend(player.playerGroup);
+  if (ghost.active) world.road.bend(ghost.group);
+  for (const car of traffic.pool) {
+    if (car.userData.active) world.road.bend(car);
+  }
+}
 
-    updateHUD();
+/** Render-side work shared by live play and replays: interpolate, camera, scenery, HUD. */
+function renderSimulation(dt) {
+  // Render between the last two ticks; restored after render in animate()
+  const alpha = simAccum / SIM_DT;
+  player.interpolate(alpha);
+  traffic.interpolate(alpha);
 
-  } else if (state === 'paused') {
-    // Frozen — render current frame only
+  updateCamera();
+
+  world.update(player.posZ);
+  world.updateTheme(dt, renderer);
+  syncLightLevel();
+  world.updateWeather(dt, player.posX, player.posZ);
+  world.updateClouds(dt, player.posZ);
+  world.followPlayer(player.posX, player.posZ);
+
+  if (!crashPending) audio.update(player.absSpeed, player.nitroActive, world.activeWeather, player.stats.topSpeed);
+
+  updateGhost(alpha);
+  updateHUD();
+}
+
+/** Place the ghost for this frame and show how far ahead/behind it we are. */
+function updateGhost(alpha) {
+  if (!ghost.active || state !== 'playing') {
+    dom.ghostDelta.style.display = 'none';
+    return;
   }
+  const p = ghost.update(simTick + alpha);
+  if (!p) return;
+  const delta = player.posZ - p.z;
+  dom.ghostDelta.style.display = 'block';
+  dom.ghostDelta.textContent = p.finished
+    ? `GHOST WRECKED · ${delta >= 0 ? '+' : ''}${Math.round(delta)} m`
+    : `GHOST ${delta >= 0 ? '+' : ''}${Math.round(delta)} m`;
+  dom.ghostDelta.classList.toggle('ahead',  delta >= 0);
+  dom.ghostDelta.classList.toggle('behind', delta < 0);
+}
 
-  renderer.render(scene, camera);
+/**
+ * One fixed gameplay tick — everything that decides the outcome of a run.
+ * @param {number} dt
+ * @param {object} input — quantized input (live) or recorded input (replay)
+ */
+function stepSimulation(dt, input) {
+  simTick++;
+  world.stepWeather(dt);
+  player.update(dt, input);
+
+  updateNitro(dt, input);
+
+  const ms  = player.absSpeed / 3.6;
+  distance        += ms * dt;
+  run.distancePts += ms * dt * 0.5;
+  run.driveTime   += dt;
+  run.speedSum    += player.absSpeed * dt;
+  run.topSpeed     = Math.max(run.topSpeed, player.absSpeed);
+  if (player.nitroActive) run.nitroTime += dt;
+
+  traffic.update(dt, player.posX, player.posZ, player.absSpeed, distance, player);
+
+  const hit = crashPending ? null
+    : traffic.checkCollision(player.posX, player.posZ, player.hitboxes, player.speed);
+  if (hit) {
+    // Head-on is always the end of the run, damage model or not
+    if (hit.type === 'head-on') endRun('headon');
+    else if (!damageOn) endRun('crash');
+    else takeHit(hit);
+  }
+  if (!crashPending) updateMode(dt);
+  if (heatOn && !crashPending) updateHeat(dt);
+
+  if (nearMissTimer > 0) {
+    nearMissTimer -= dt;
+    if (nearMissTimer <= 0) nearMissCombo = 0;
+  }
+}
+
+/** Damage model: lose health in proportion to closing speed and overlap, bounce off, knock the other car away. */
+function takeHit(hit) {
+  const rate = hit.type === 'side' ? DAMAGE_SIDE : DAMAGE_REAR;
+  const dmg  = (DAMAGE_BASE + hit.relSpeed * rate) * (1 + hit.depth);
+  health = Math.max(0, health - dmg);
+
+  player.bump(hit);
+  traffic.knock(hit);
+  nearMissCombo = 0; nearMissTimer = 0;
+
+  if (health <= 0) {
+    endRun('crash');
+    return;
+  }
+  if (!fastForwarding) {
+    screenShake = Math.min(1, 0.3 + dmg / 40);
+    audio.crash(dmg / 40);
+  }
+}
+
+/**
+ * Police heat for one tick: builds while speeding (near misses add more in
+ * the callback), cools under the limit once no police unit is in sight.
+ * From the second star police chase the player; staying boxed in by them
+ * for BUSTED_TIME ends the run.
+ */
+function updateHeat(dt) {
+  const over = player.absSpeed - HEAT_SPEED;
+  if (over > 0) heat = Math.min(1, heat + over * HEAT_SPEED_RATE * dt);
+  else if (traffic.pursuitRange(player.posZ) > PURSUIT_SIGHT) heat = Math.max(0, heat - HEAT_COOL * dt);
+
+  const stars = heatStars();
+  run.topStars = Math.max(run.topStars, stars);
+  traffic.setPursuit(Math.max(0, stars - 1));
+
+  bustedTimer = traffic.boxedIn(player.posX, player.posZ) ? bustedTimer + dt : 0;
+  if (bustedTimer >= BUSTED_TIME) endRun('busted');
+}
+
+function heatStars() {
+  return HEAT_STARS.filter(t => heat >= t).length;
+}
+
+/** Mode rules for one tick: clocks, gates, finish line. */
+function updateMode(dt) {
+  const mode = getMode(currentMode);
+  gateFlash = Math.max(0, gateFlash - dt);
+
+  if (mode.targetDistance) {
+    modeTime += dt;
+    if (distance >= mode.targetDistance) {
+      finishTime = modeTime;
+      endRun('finish');
+    }
+  }
+
+  if (mode.gateSegments) {
+    if (player.posZ >= nextGateZ) {
+      modeTime += mode.gateBonus;
+      gatesPassed++;
+      gateFlash = 1.5;
+      world.markCheckpointPassed(nextGateZ);
+      nextGateZ = world.checkpointAfter(nextGateZ);
+    }
+    modeTime = Math.max(0, modeTime - dt);
+    if (modeTime <= 0) endRun('timeup');
+  }
 }
 
 animate();